@@ -1,8 +1,37 @@
-import * as THREE from "https://cdn.skypack.dev/three@0.132.2/build/three.module.js";
-import { EffectComposer } from "https://cdn.skypack.dev/three@0.132.2/examples/jsm/postprocessing/EffectComposer.js";
-import { RenderPass } from "https://cdn.skypack.dev/three@0.132.2/examples/jsm/postprocessing/RenderPass.js";
-import { UnrealBloomPass } from "https://cdn.skypack.dev/three@0.132.2/examples/jsm/postprocessing/UnrealBloomPass.js";
-import * as Tone from "https://cdn.skypack.dev/tone@14.7.77";
+import * as THREE from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader.js";
+import * as Tone from "tone";
+import {
+  createSimulation,
+  formatSeed,
+  parseSeed,
+  getDailyKey,
+  getDailySeed,
+  laneWidth,
+  maxSpeed,
+  boostMaxFuel,
+  boostSpeedMultiplier,
+  CAR_WIDTH,
+  CAR_DEPTH,
+  CAR_HEIGHT,
+  CAR_START_Z,
+  PICKUP_SIZE,
+  MULTIPLIER_DURATION,
+  MAGNET_DURATION,
+  COMBO_WINDOW,
+  getComboMultiplier,
+  getSectorBiome,
+  DIFFICULTY_PRESETS,
+  DEFAULT_DIFFICULTY,
+  resolveTuning,
+} from "./sim.js";
+import { createTrack } from "./track.js";
+import { createRain } from "./rain.js";
+import { createSoundtrack } from "./soundtrack.js";
 
 // --- Constants ---
 const CYBER_NEON_COLORS = [
@@ -12,10 +41,86 @@ const CYBER_NEON_COLORS = [
   new THREE.Color(0xffff00), // Yellow
   new THREE.Color(0xff8800), // Orange
 ];
-const RAIN_COUNT = 15000;
+const RAIN_COUNT = 60000;
+const SPLASH_COUNT = 1500;
+// Look and sound of each sector biome (see SECTOR_BIOMES in sim.js). Rain is
+// the fraction of RAIN_COUNT drops shown (before the quality preset's share);
+// the chord is the sector's pad layer.
+const SECTOR_THEMES = {
+  downtown: {
+    label: "DOWNTOWN",
+    palette: CYBER_NEON_COLORS,
+    background: new THREE.Color(0x050010),
+    fogNear: 70,
+    fogFar: 280,
+    bloom: 1.2,
+    rain: 0.6,
+    road: 0x1a1a1a,
+    line: 0x00ffff,
+    chord: ["C3", "G3", "D#4"],
+  },
+  industrial: {
+    label: "FOUNDRY",
+    palette: [
+      new THREE.Color(0xff8800),
+      new THREE.Color(0xffcc00),
+      new THREE.Color(0xff3300),
+    ],
+    background: new THREE.Color(0x120600),
+    fogNear: 50,
+    fogFar: 220,
+    bloom: 1.0,
+    rain: 0.2,
+    road: 0x241a12,
+    line: 0xffaa00,
+    chord: ["D3", "A3", "F4"],
+  },
+  storm: {
+    label: "STORMFRONT",
+    palette: [
+      new THREE.Color(0x00ffff),
+      new THREE.Color(0x88aaff),
+      new THREE.Color(0xaa66ff),
+    ],
+    background: new THREE.Color(0x02060c),
+    fogNear: 30,
+    fogFar: 180,
+    bloom: 1.5,
+    rain: 1.0,
+    road: 0x101820,
+    line: 0x66ccff,
+    chord: ["A2", "E3", "C4"],
+  },
+  datavoid: {
+    label: "DATA VOID",
+    palette: [
+      new THREE.Color(0xff00ff),
+      new THREE.Color(0x00ff00),
+      new THREE.Color(0xffffff),
+    ],
+    background: new THREE.Color(0x000000),
+    fogNear: 90,
+    fogFar: 340,
+    bloom: 1.8,
+    rain: 0,
+    road: 0x0a0a0a,
+    line: 0xff00ff,
+    chord: ["F2", "C3", "G#3"],
+  },
+};
+const SECTOR_GLITCH_BLOOM = 2.5; // Extra bloom flashed on a sector change
 const BOOST_OPACITY = 0.5; // Opacity when boosting/phasing
 const BOOST_GLASS_OPACITY = 0.3; // Specific lower opacity for glass when boosting
 const NORMAL_GLASS_OPACITY = 0.7; // Original glass opacity
+const HAZARD_COLOR = new THREE.Color(0xff8800);
+const GATE_CLOSED_COLOR = new THREE.Color(0xff0033);
+const GATE_OPEN_COLOR = new THREE.Color(0x00ff66);
+const PICKUP_STYLES = {
+  fuel: { color: 0xff00ff, note: "C6" },
+  multiplier: { color: 0xffff00, note: "E6" },
+  shield: { color: 0x00ffff, note: "G5" },
+  magnet: { color: 0x00ff00, note: "A5" },
+};
 
 // --- Error Handling ---
 window.addEventListener("error", function (event) {
@@ -32,8 +137,43 @@ let speedometerElement = null;
 let uiElement = null;
 let messageElement = null;
 let startBtnElement = null;
+let dailyBtnElement = null;
+let timeAttackBtnElement = null;
+let practiceBtnElement = null;
+let tutorialBtnElement = null;
+let difficultyTabsElement = null;
+let tuningFileInputElement = null;
+let watchReplayBtnElement = null;
+let saveReplayBtnElement = null;
+let loadReplayBtnElement = null;
+let replayFileInputElement = null;
+let replayIndicatorElement = null;
+let ghostGapElement = null;
+let timeAttackHudElement = null;
+let countdownElement = null;
+let tutorialPromptElement = null;
+let multiplierIndicatorElement = null;
+let shieldIndicatorElement = null;
+let magnetIndicatorElement = null;
+let comboCounterElement = null;
+let comboTimerElement = null;
+let pauseMenuElement = null;
+let leaderboardPopupElement = null;
+let leaderboardModeTabsElement = null;
+let leaderboardDifficultyTabsElement = null;
+let leaderboardBodyElement = null;
+let initialsEntryElement = null;
+let initialsRankElement = null;
+let touchControlsElement = null;
+let touchBoostBtnElement = null;
+let touchPauseBtnElement = null;
+let settingsPopupElement = null;
+let updateNoticeElement = null;
+let keyBindingListElement = null;
 let flashOverlay = null;
 let scoreElement = null;
+let sectorBannerElement = null;
+let glitchOverlayElement = null;
 let boostMeterElement = null;
 let boostLevelElement = null;
 
@@ -48,31 +188,37 @@ const camera = new THREE.PerspectiveCamera(
   0.1,
   1000,
 );
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+// Post-processing renders to offscreen targets, so MSAA on the canvas would
+// be wasted; antialiasing is an FXAA pass controlled by the quality preset
+const renderer = new THREE.WebGLRenderer({ antialias: false });
 
 // --- Post-Processing Setup ---
 let composer;
 let bloomPass;
+let fxaaPass;
 
 // --- Game Variables ---
+// Gameplay state lives in the simulation (sim.js); this file only observes it
+// and keeps the meshes, sounds and DOM in sync.
+let sim = null;
+let track = null; // Bends the simulation's straight track for rendering
+let pendingInputs = []; // Player inputs queued for the next simulation step
+const boostHeldBy = new Set(); // Non-keyboard sources holding boost down
 let car,
-  buildings = [],
+  obstacleMeshes = new Map(), // Obstacle id -> instances drawing it
+  pickupMeshes = new Map(), // Pickup id -> { kind, index } instance
+  shieldBubble = null, // Shown around the car while a shield is held
+  headlights = [], // Car spotlights, switched off on low quality
   roadSegments = [];
-let speed = 0,
-  targetSpeed = 2,
-  maxSpeed = 10,
-  minSpeed = 1,
-  acceleration = 0.04,
-  deceleration = 0.05;
-let baseMinSpeed = 1;
-let speedIncreaseRate = 0.0001;
-let lane = 0;
-const laneWidth = 4;
+const roadSegmentPool = []; // Hidden segments ready for reuse
+const roadMaterials = new Map(); // Sector theme -> shared road materials
 const roadSegmentLength = 50;
+const ROAD_SEGMENT_ROWS = 10; // Quads per segment so it can follow bends
+const CAMERA_HEIGHT = 7;
+const CAMERA_DISTANCE = 14; // Behind the car
+let cameraTrackX = 0; // Camera's smoothed offset across the road
+const cameraTarget = new THREE.Vector3();
 const visibleSegments = 25;
-let distanceTraveled = 0;
-let nextObstacleSpawnDistance = 60;
-const obstacleSpawnDistanceInterval = [90, 180];
 
 // Variables for effects
 let collisionShakeTime = 0;
@@ -81,38 +227,71 @@ const COLLISION_SHAKE_INTENSITY = 0.5;
 
 // For timing
 const clock = new THREE.Clock();
-let delta = 0;
+let delta = 0; // Real time of the current display frame
+const FIXED_TIMESTEP = 1 / 60; // Per-step tuning values assume 60 Hz
+const MAX_FRAME_TIME = 0.25; // Clamp long stalls so the loop can't spiral
+let stepAccumulator = 0;
 
 let gameOver = false;
+let isRunActive = false; // A run is on screen (past the intro screen)
+let isPaused = false;
 let animationFrameId = null;
 const SPEED_DISPLAY_MULTIPLIER = 6;
 
-let score = 0;
+// --- Run Mode & Seed ---
+const GAME_MODES = ["endless", "daily", "timeattack", "practice", "tutorial"];
+let gameMode = "endless";
+let gameDifficulty = DEFAULT_DIFFICULTY; // Of the current run
+let runTuning = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+let runSeed = 0;
+const seedFromUrl = parseSeed(
+  new URLSearchParams(window.location.search).get("seed"),
+);
 
-// --- Boost Variables ---
-let isBoosting = false;
-let boostFuel = 100;
-const boostMaxFuel = 100;
-const boostConsumeRate = 35;
-const boostRegenRate = 10;
-const boostSpeedMultiplier = 1.5; // Increased multiplier for more impact
+// --- Replay Variables ---
+// A replay is the seed plus every input, stamped with the simulation step it
+// was applied before. Since gameplay runs in fixed steps, feeding the same
+// inputs back at the same steps re-drives the run exactly.
+const REPLAY_VERSION = 7;
+let replayRecording = null; // Run currently being recorded
+let lastReplay = null; // Most recent finished (or loaded) replay
+let replayPlayback = null; // Replay currently driving the car, if any
+let replayEventIndex = 0;
+
+// --- Ghost Variables ---
+// The best run per table leaves a ghost: the car's position sampled every few
+// simulation steps, raced against as a translucent car on later runs.
+const GHOSTS_KEY = "gridline7001.ghosts";
+const GHOST_VERSION = 3;
+const GHOST_SAMPLE_STEPS = 6; // 10 samples per second at 60 Hz
+let ghostCar = null;
+let ghostRun = null; // Personal best being raced this run, if any
+let ghostRecording = null; // Flat [x, z, x, z, ...] samples of this run
 
 // --- Effects Variables ---
-let nearMissCooldown = 0;
-const NEAR_MISS_THRESHOLD = 2.0;
-let rainParticles = null;
+let rain = null;
+let rainTrackZ = null; // Track z the rain was last carried to
+let sectorTheme = SECTOR_THEMES.downtown;
 let carTrail = null;
 let trailGeometry = null;
 let trailMaterial = null;
-const TRAIL_LENGTH = 15;
-let isVisuallyDrifting = false;
+const TRAIL_LENGTH = 24; // Longest trail (Ultra); presets draw fewer points
+let trailActiveLength = TRAIL_LENGTH;
+const trailCorner = new THREE.Vector3();
 
 // --- Audio Variables ---
 let crashSound = null;
 let nearMissSound = null;
+let nearMissBlip = null; // Synthesized stand-in if the sample won't load
 let boostSound = null;
 let driftSynth = null;
+let pickupSynth = null;
+let soundtrack = null; // Generative music, see soundtrack.js
+let engineSound = null; // { oscillators, filter, gain } hum that follows speed
 let isBoostSoundActive = false;
+const ENGINE_BASE_PITCH = 45; // Hz at standstill
+const ENGINE_BASE_CUTOFF = 300; // Hz at standstill
+const ENGINE_LEVEL = 0.6;
 let isDriftSynthActive = false;
 
 // Reference to car's glass material for specific opacity handling
@@ -131,6 +310,46 @@ function initializeApp() {
   uiElement = document.getElementById("ui");
   messageElement = document.getElementById("message");
   startBtnElement = document.getElementById("startBtn");
+  dailyBtnElement = document.getElementById("dailyBtn");
+  timeAttackBtnElement = document.getElementById("timeAttackBtn");
+  practiceBtnElement = document.getElementById("practiceBtn");
+  tutorialBtnElement = document.getElementById("tutorialBtn");
+  difficultyTabsElement = document.getElementById("difficulty-tabs");
+  tuningFileInputElement = document.getElementById("tuningFileInput");
+  watchReplayBtnElement = document.getElementById("watchReplayBtn");
+  saveReplayBtnElement = document.getElementById("saveReplayBtn");
+  loadReplayBtnElement = document.getElementById("loadReplayBtn");
+  replayFileInputElement = document.getElementById("replayFileInput");
+  replayIndicatorElement = document.getElementById("replay-indicator");
+  ghostGapElement = document.getElementById("ghost-gap");
+  timeAttackHudElement = document.getElementById("time-attack-hud");
+  countdownElement = document.getElementById("countdown");
+  tutorialPromptElement = document.getElementById("tutorial-prompt");
+  multiplierIndicatorElement = document.getElementById("multiplier-indicator");
+  shieldIndicatorElement = document.getElementById("shield-indicator");
+  magnetIndicatorElement = document.getElementById("magnet-indicator");
+  comboCounterElement = document.getElementById("combo-counter");
+  comboTimerElement = document.getElementById("combo-timer");
+  sectorBannerElement = document.getElementById("sector-banner");
+  glitchOverlayElement = document.getElementById("glitch-overlay");
+  pauseMenuElement = document.getElementById("pause-menu");
+  leaderboardPopupElement = document.getElementById("leaderboard-popup");
+  leaderboardModeTabsElement = document.getElementById("leaderboard-mode-tabs");
+  leaderboardDifficultyTabsElement = document.getElementById(
+    "leaderboard-difficulty-tabs",
+  );
+  leaderboardBodyElement = document.getElementById("leaderboard-body");
+  initialsEntryElement = document.getElementById("initials-entry");
+  initialsRankElement = document.getElementById("initials-rank");
+  touchControlsElement = document.getElementById("touch-controls");
+  touchBoostBtnElement = document.getElementById("touch-boost-btn");
+  touchPauseBtnElement = document.getElementById("touch-pause-btn");
+  settingsPopupElement = document.getElementById("settings-popup");
+  updateNoticeElement = document.getElementById("update-notice");
+  keyBindingListElement = document.getElementById("keybinding-list");
+  qualityTabsElement = document.getElementById("quality-tabs");
+  qualityAutoElement = document.getElementById("quality-auto");
+  mixerListElement = document.getElementById("mixer-list");
   flashOverlay = document.getElementById("flash-overlay");
   boostMeterElement = document.getElementById("boost-meter");
   boostLevelElement = document.getElementById("boost-level");
@@ -146,6 +365,8 @@ function initializeApp() {
     0.1,
   );
   composer.addPass(bloomPass);
+  fxaaPass = new ShaderPass(FXAAShader);
+  composer.addPass(fxaaPass);
 
   if (
     !gameInfoElement ||
@@ -154,6 +375,44 @@ function initializeApp() {
     !uiElement ||
     !messageElement ||
     !startBtnElement ||
+    !dailyBtnElement ||
+    !timeAttackBtnElement ||
+    !practiceBtnElement ||
+    !tutorialBtnElement ||
+    !difficultyTabsElement ||
+    !tuningFileInputElement ||
+    !watchReplayBtnElement ||
+    !saveReplayBtnElement ||
+    !loadReplayBtnElement ||
+    !replayFileInputElement ||
+    !replayIndicatorElement ||
+    !ghostGapElement ||
+    !timeAttackHudElement ||
+    !countdownElement ||
+    !tutorialPromptElement ||
+    !multiplierIndicatorElement ||
+    !shieldIndicatorElement ||
+    !magnetIndicatorElement ||
+    !comboCounterElement ||
+    !comboTimerElement ||
+    !sectorBannerElement ||
+    !glitchOverlayElement ||
+    !pauseMenuElement ||
+    !leaderboardPopupElement ||
+    !leaderboardModeTabsElement ||
+    !leaderboardDifficultyTabsElement ||
+    !leaderboardBodyElement ||
+    !initialsEntryElement ||
+    !initialsRankElement ||
+    !touchControlsElement ||
+    !touchBoostBtnElement ||
+    !touchPauseBtnElement ||
+    !settingsPopupElement ||
+    !updateNoticeElement ||
+    !keyBindingListElement ||
+    !qualityTabsElement ||
+    !qualityAutoElement ||
+    !mixerListElement ||
     !flashOverlay ||
     !boostMeterElement ||
     !boostLevelElement
@@ -165,13 +424,104 @@ function initializeApp() {
     return;
   }
 
-  startBtnElement.addEventListener("click", startGame);
+  startBtnElement.addEventListener("click", () => startGame("endless"));
+  dailyBtnElement.addEventListener("click", () => startGame("daily"));
+  timeAttackBtnElement.addEventListener("click", () => startGame("timeattack"));
+  practiceBtnElement.addEventListener("click", () => startGame("practice"));
+  tutorialBtnElement.addEventListener("click", () => startGame("tutorial"));
+  watchReplayBtnElement.addEventListener("click", () => {
+    if (lastReplay) startGame(lastReplay.mode, lastReplay);
+  });
+  saveReplayBtnElement.addEventListener("click", () => {
+    if (lastReplay) downloadReplay(lastReplay);
+  });
+  loadReplayBtnElement.addEventListener("click", () =>
+    replayFileInputElement.click(),
+  );
+  replayFileInputElement.addEventListener("change", () => {
+    const file = replayFileInputElement.files[0];
+    replayFileInputElement.value = ""; // Allow re-loading the same file
+    if (file) loadReplayFile(file);
+  });
+  updateReplayButtons();
+  tuningFileInputElement.addEventListener("change", () => {
+    const file = tuningFileInputElement.files[0];
+    tuningFileInputElement.value = ""; // Allow re-loading the same file
+    if (file) loadTuningFile(file);
+  });
+  renderDifficultyTabs();
+  document.getElementById("resumeBtn").addEventListener("click", resumeGame);
+  document.getElementById("restartBtn").addEventListener("click", restartGame);
+  document
+    .getElementById("quitBtn")
+    .addEventListener("click", () => endGame("quit"));
+  document.getElementById("highScoresBtn").addEventListener("click", (e) => {
+    e.stopPropagation(); // Keep the outside-click handler from closing it
+    openLeaderboard(gameMode, gameDifficulty);
+  });
+  leaderboardPopupElement
+    .querySelector(".leaderboard-close")
+    .addEventListener("click", () => {
+      leaderboardPopupElement.style.display = "none";
+    });
+  document
+    .getElementById("musicToggleBtn")
+    .addEventListener("click", () => setMusicOn(!mixerSettings.musicOn));
+  document.getElementById("settingsBtn").addEventListener("click", (e) => {
+    e.stopPropagation(); // Keep the outside-click handler from closing it
+    renderKeyBindingSettings();
+    renderQualitySettings();
+    renderMixerSettings();
+    settingsPopupElement.style.display = "block";
+  });
+  settingsPopupElement
+    .querySelector(".settings-close")
+    .addEventListener("click", closeSettings);
+  document
+    .getElementById("resetBindingsBtn")
+    .addEventListener("click", resetKeyBindings);
+  qualityAutoElement.addEventListener("change", () => {
+    qualitySettings.auto = qualityAutoElement.checked;
+    resetAutoQuality();
+    saveQualitySettings();
+  });
+  document.addEventListener("click", (e) => {
+    if (!leaderboardPopupElement.contains(e.target))
+      leaderboardPopupElement.style.display = "none";
+    // Rebuilt buttons are detached by the time the click bubbles up here
+    if (e.target.isConnected && !settingsPopupElement.contains(e.target))
+      closeSettings();
+  });
+  renderKeyBindingLabels();
+  renderMusicToggle();
+  registerServiceWorker();
+  initialsEntryElement.querySelectorAll(".initials-slot").forEach((slot) => {
+    const index = Number(slot.dataset.slot);
+    slot
+      .querySelector(".initials-up")
+      .addEventListener("click", () => cycleInitial(index, 1));
+    slot
+      .querySelector(".initials-down")
+      .addEventListener("click", () => cycleInitial(index, -1));
+  });
+  document
+    .getElementById("initialsConfirmBtn")
+    .addEventListener("click", (e) => {
+      e.stopPropagation(); // The leaderboard opens on this same click
+      confirmInitials();
+    });
   uiElement.style.display = "flex";
-  messageElement.innerText = "Connect to Grid?";
+  messageElement.innerText =
+    seedFromUrl !== null
+      ? `Connect to Grid?\nSeed: ${formatSeed(seedFromUrl)}`
+      : "Connect to Grid?";
   gameInfoElement.style.display = "none";
 
-  createRain();
+  createInstancePools();
+  createRainEffect();
   createCarTrail();
+  applyQuality();
+  setupTouchControls();
 
   console.log("Interface Ready.");
 }
@@ -183,29 +533,175 @@ const directionalLight = new THREE.DirectionalLight(0xaaaaff, 0.6);
 directionalLight.position.set(5, 15, 10);
 scene.add(directionalLight);
 
+// --- Audio Mixer ---
+// Every sound goes through one of the music/SFX/engine busses, which all feed
+// the master bus. Slider levels (0-100) are stored in localStorage and mapped
+// to gain on a squared curve so the sliders feel even to the ear.
+const MIXER_KEY = "gridline7001.mixer";
+const MIXER_CHANNELS = [
+  { id: "master", label: "Master" },
+  { id: "music", label: "Music" },
+  { id: "sfx", label: "SFX" },
+  { id: "engine", label: "Engine" },
+];
+const DEFAULT_MIXER_LEVELS = { master: 80, music: 70, sfx: 80, engine: 60 };
+let mixerSettings = loadMixerSettings(); // { levels, musicOn }
+const audioBusses = {}; // Channel id -> Tone.Gain, created with the audio
+let mixerListElement = null;
+
+function loadMixerSettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(MIXER_KEY));
+  } catch (e) {
+    console.warn("Mixer storage unreadable:", e);
+  }
+  const levels = {};
+  MIXER_CHANNELS.forEach(({ id }) => {
+    const level = stored && stored.levels && stored.levels[id];
+    levels[id] =
+      typeof level === "number" && level >= 0 && level <= 100
+        ? level
+        : DEFAULT_MIXER_LEVELS[id];
+  });
+  return { levels, musicOn: !(stored && stored.musicOn === false) };
+}
+
+function saveMixerSettings() {
+  try {
+    localStorage.setItem(MIXER_KEY, JSON.stringify(mixerSettings));
+  } catch (e) {
+    console.warn("Mixer storage unavailable:", e);
+  }
+}
+
+function getBusGain(id) {
+  if (id === "music" && !mixerSettings.musicOn) return 0;
+  return Math.pow(mixerSettings.levels[id] / 100, 2);
+}
+
+function applyMixer() {
+  MIXER_CHANNELS.forEach(({ id }) => {
+    if (audioBusses[id]) audioBusses[id].gain.rampTo(getBusGain(id), 0.05);
+  });
+}
+
+function setMixerLevel(id, level) {
+  mixerSettings.levels[id] = level;
+  saveMixerSettings();
+  applyMixer();
+}
+
+function setMusicOn(on) {
+  mixerSettings.musicOn = on;
+  saveMixerSettings();
+  applyMixer();
+  renderMusicToggle();
+}
+
+function renderMusicToggle() {
+  const button = document.getElementById("musicToggleBtn");
+  if (!button) return;
+  button.textContent = mixerSettings.musicOn ? "MUSIC ON" : "MUSIC OFF";
+  button.classList.toggle("on", mixerSettings.musicOn);
+}
+
+function renderMixerSettings() {
+  if (!mixerListElement) return;
+  mixerListElement.innerHTML = "";
+  MIXER_CHANNELS.forEach(({ id, label }) => {
+    const row = document.createElement("label");
+    row.className = "settings-row";
+    const name = document.createElement("span");
+    name.textContent = label;
+    row.appendChild(name);
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.value = String(mixerSettings.levels[id]);
+    const value = document.createElement("span");
+    value.className = "mixer-value";
+    value.textContent = slider.value;
+    slider.addEventListener("input", () => {
+      value.textContent = slider.value;
+      setMixerLevel(id, Number(slider.value));
+    });
+    row.appendChild(slider);
+    row.appendChild(value);
+    mixerListElement.appendChild(row);
+  });
+}
+
 // --- Audio Setup ---
 function setupAudio() {
   console.log("Setting up Audio Subsystem...");
+  audioBusses.master = new Tone.Gain(getBusGain("master")).toDestination();
+  ["music", "sfx", "engine"].forEach((id) => {
+    audioBusses[id] = new Tone.Gain(getBusGain(id)).connect(audioBusses.master);
+  });
   crashSound = new Tone.NoiseSynth({
     noise: { type: "white" },
     envelope: { attack: 0.005, decay: 0.3, sustain: 0 },
-  }).toDestination();
+  }).connect(audioBusses.sfx);
   crashSound.volume.value = -3;
   nearMissSound = new Tone.Player({
-    url: "https://cdn.freesound.org/previews/510/510495_11159855-lq.mp3",
+    url: "assets/sounds/near-miss.wav",
     autostart: false,
-  }).toDestination();
+    onerror: (e) => {
+      console.warn("Near-miss sample unavailable, using synth blip:", e);
+      nearMissSound = null;
+    },
+  }).connect(audioBusses.sfx);
   nearMissSound.volume.value = -10;
+  nearMissBlip = new Tone.Synth({
+    oscillator: { type: "square" },
+    envelope: { attack: 0.002, decay: 0.08, sustain: 0, release: 0.05 },
+    volume: -16,
+  }).connect(audioBusses.sfx);
+  pickupSynth = new Tone.Synth({
+    oscillator: { type: "triangle" },
+    envelope: { attack: 0.005, decay: 0.1, sustain: 0.1, release: 0.2 },
+    volume: -8,
+  }).connect(audioBusses.sfx);
+  // Continuous car sounds share the engine bus
   boostSound = new Tone.NoiseSynth({
     noise: { type: "pink" },
     envelope: { attack: 0.1, decay: 0.05, sustain: 1.0, release: 0.2 },
     volume: -18,
-  }).toDestination();
+  }).connect(audioBusses.engine);
   driftSynth = new Tone.NoiseSynth({
     noise: { type: "white" },
     envelope: { attack: 0.01, decay: 0.15, sustain: 0.05, release: 0.1 },
     volume: -15,
-  }).toDestination();
+  }).connect(audioBusses.engine);
+  // Engine hum: a sawtooth plus a square an octave down through a low-pass,
+  // silent until a run is live
+  const engineGain = new Tone.Gain(0).connect(audioBusses.engine);
+  const engineFilter = new Tone.Filter(ENGINE_BASE_CUTOFF, "lowpass").connect(
+    engineGain,
+  );
+  engineSound = {
+    oscillators: [
+      new Tone.Oscillator(ENGINE_BASE_PITCH, "sawtooth"),
+      new Tone.Oscillator(ENGINE_BASE_PITCH / 2, "square"),
+    ],
+    filter: engineFilter,
+    gain: engineGain,
+    revs: 0, // Last targets ramped to
+    level: 0,
+  };
+  engineSound.oscillators.forEach((oscillator) => {
+    oscillator.volume.value = -12;
+    oscillator.connect(engineFilter).start();
+  });
+  soundtrack = createSoundtrack({
+    isLive: () => isRunActive && !isPaused && !gameOver,
+  });
+  soundtrack.output.connect(audioBusses.music);
+  // The soundtrack's loops run on the Transport, which a context that was
+  // already running (autoplay allowed) never had started for it
+  if (Tone.Transport.state !== "started") Tone.Transport.start();
   console.log("Audio Subsystem setup complete.");
 }
 
@@ -216,9 +712,6 @@ function startAudioContext() {
       if (!crashSound) {
         setupAudio();
       }
-      if (Tone.Transport.state !== "started") {
-        Tone.Transport.start();
-      }
       console.log("Audio Subsystem Online.");
     })
     .catch((e) => {
@@ -239,61 +732,58 @@ function stopAudio() {
     driftSynth.triggerRelease();
     isDriftSynthActive = false;
   }
+  if (engineSound) {
+    engineSound.level = 0;
+    engineSound.gain.gain.rampTo(0, 0.3);
+  }
 }
 
 // --- Game State Functions ---
 function resetGame() {
   console.log("Resetting Grid Environment...");
   if (car) scene.remove(car);
+  if (ghostCar) scene.remove(ghostCar);
   carGlassMaterial = null; // Reset glass material reference
-  buildings.forEach((b) => {
-    /* ... cleanup ... */
-    scene.remove(b);
-    if (b.geometry) b.geometry.dispose();
-    if (b.material) b.material.dispose();
-  });
-  roadSegments.forEach((r) => {
-    /* ... cleanup ... */
-    while (r.children.length > 0) {
-      const child = r.children[0];
-      r.remove(child);
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) child.material.dispose();
-    }
-    scene.remove(r);
-    if (r.geometry) r.geometry.dispose();
-    if (r.material) r.material.dispose();
-  });
-  buildings = [];
+  obstacleMeshes.forEach((visual) => removeObstacleMesh(visual));
+  roadSegments.forEach(releaseRoadSegment);
+  obstacleMeshes.clear();
+  pickupMeshes.forEach(({ kind, index }) => pickupPools[kind].release(index));
+  pickupMeshes.clear();
   roadSegments = [];
 
-  speed = 0;
-  targetSpeed = minSpeed;
-  lane = 0;
-  distanceTraveled = 0;
-  nextObstacleSpawnDistance = 60;
+  sim = createSimulation({ seed: runSeed, mode: gameMode, tuning: runTuning });
+  track = createTrack(runSeed);
+  cameraTrackX = 0;
+  rainTrackZ = null;
+  sectorTheme = SECTOR_THEMES[getSectorBiome(0)];
+  updateSectorAtmosphere(1);
+  pendingInputs = [];
+  gamepadThrottle = 0;
+  stepAccumulator = 0;
+  replayEventIndex = 0;
   gameOver = false;
-  score = 0;
-  boostFuel = boostMaxFuel;
-  isBoosting = false;
-  isVisuallyDrifting = false;
 
   stopAudio(); // Stop sounds
+  if (soundtrack) soundtrack.reset();
 
   // Reset UI
-  if (scoreElement) scoreElement.innerText = `Score: ${score}`;
+  if (scoreElement) scoreElement.innerText = `Score: ${sim.state.score}`;
   if (speedometerElement) speedometerElement.innerText = `SPD: 0.0 km/h`;
   if (boostLevelElement) {
     boostLevelElement.style.width = "100%";
     boostLevelElement.style.backgroundColor = "#ff00ff";
   }
+  if (comboCounterElement) {
+    comboCounterElement.classList.remove("pop", "broken");
+    comboCounterElement.style.display = "none";
+  }
   if (gameInfoElement) gameInfoElement.style.display = "none";
 
   // Re-create road
   for (let i = 0; i < visibleSegments; i++) {
     createRoadSegment(0 - (i - visibleSegments / 2) * roadSegmentLength);
   }
-  roadSegments.sort((a, b) => b.position.z - a.position.z);
+  roadSegments.sort((a, b) => b.userData.trackZ - a.userData.trackZ);
 
   // --- Create Car ---
   car = new THREE.Group();
@@ -444,10 +934,7 @@ function resetGame() {
   underglow.position.y = 0.05;
   car.add(underglow);
 
-  car.position.y = 0.2;
-  car.position.z = 5;
-  car.position.x = lane * laneWidth;
-  car.rotation.y = Math.PI;
+  track.place(car, sim.state.carX, 0.2, sim.state.carZ, Math.PI);
   scene.add(car);
 
   const headlightLeft = new THREE.SpotLight(0xffffee, 2, 50, Math.PI / 6, 0.5);
@@ -460,14 +947,51 @@ function resetGame() {
   headlightRight.target.position.set(0.6, 0.4, -1);
   car.add(headlightRight);
   car.add(headlightRight.target);
-  car.userData.width = 1.9;
-  car.userData.depth = 3.8;
-  car.userData.height = 1.1;
+  headlights = [headlightLeft, headlightRight];
+  headlights.forEach((light) => {
+    light.visible = getQualityPreset().spotlights;
+  });
+  car.userData.width = CAR_WIDTH;
+  car.userData.depth = CAR_DEPTH;
+  car.userData.height = CAR_HEIGHT;
 
   // Set initial car opacity (just in case)
   setCarOpacity(1.0); // Use helper function
 
+  ghostCar = createGhostCar(car);
+  ghostCar.visible = !!ghostRun;
+  scene.add(ghostCar);
+
+  // Kept out of the car group so phasing opacity leaves it alone
+  if (!shieldBubble) {
+    shieldBubble = new THREE.Mesh(
+      new THREE.SphereGeometry(3, 24, 16),
+      new THREE.MeshBasicMaterial({
+        color: PICKUP_STYLES.shield.color,
+        transparent: true,
+        opacity: 0.15,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+      }),
+    );
+    scene.add(shieldBubble);
+  }
+  shieldBubble.visible = false;
+  if (!checkpointGate) {
+    checkpointGate = createCheckpointGate();
+    scene.add(checkpointGate);
+  }
+  checkpointGate.visible = gameMode === "timeattack";
+  if (ghostGapElement) ghostGapElement.style.display = "none";
+  if (tutorialPromptElement) tutorialPromptElement.style.display = "none";
+  if (timeAttackHudElement) {
+    timeAttackHudElement.classList.remove("low");
+    timeAttackHudElement.style.display =
+      gameMode === "timeattack" ? "block" : "none";
+  }
+
   // Camera
+  camera.up.set(0, 1, 0);
   camera.position.set(0, 6, car.position.z + 14);
   camera.lookAt(car.position.x, 1, car.position.z);
 
@@ -491,13 +1015,33 @@ function resetGame() {
 }
 
 let hasSeenIntroScreen = false;
-function startGame() {
+function startGame(mode = "endless", replay = null) {
   console.log("Connecting to Grid...");
   if (!uiElement || !gameInfoElement) {
     console.error("Critical UI elements missing!");
     return;
   }
+  // Starting over the initials dialog keeps the score under the letters so
+  // far; left open, it would swallow every key of the run
+  confirmInitials(false);
+  // First-time players learn the controls in the tutorial first, then carry
+  // on into the mode they picked
+  if (!replay && mode !== "tutorial" && !hasCompletedTutorial()) {
+    modeAfterTutorial = mode;
+    mode = "tutorial";
+  }
+  replayPlayback = replay;
+  gameMode = replay ? replay.mode : mode;
+  gameDifficulty = replay ? replay.difficulty : difficultySettings.difficulty;
+  runTuning = replay ? replay.tuning : getSelectedTuning();
+  if (replay) runSeed = parseSeed(replay.seed);
+  else if (gameMode === "daily") runSeed = getDailySeed();
+  else if (seedFromUrl !== null) runSeed = seedFromUrl;
+  else runSeed = Math.floor(Math.random() * 4294967296);
+  console.log(`Grid Seed: ${formatSeed(runSeed)} (${gameMode})`);
   uiElement.style.display = "none";
+  const background = document.getElementById("background");
+  if (background) background.style.display = "none";
   
   // Cancel any existing animation frames
   if (animationFrameId) cancelAnimationFrame(animationFrameId);
@@ -507,10 +1051,18 @@ function startGame() {
   else if (!crashSound) setupAudio();
   
   // Reset game state
+  const isRanked = isRankedRun(gameMode, gameDifficulty) && !replayPlayback;
+  ghostRun = isRanked ? loadGhost(gameMode, gameDifficulty) : null;
   resetGame();
+  replayRecording = replayPlayback ? null : createReplayRecording();
+  ghostRecording = isRanked ? [] : null;
+  if (ghostRecording) recordGhostSample();
+  if (replayIndicatorElement)
+    replayIndicatorElement.style.display = replayPlayback ? "inline" : "none";
   
-  // Only show intro screen if it's the first time
-  if (!hasSeenIntroScreen) {
+  // Only show intro screen if it's the first time (never before a replay, and
+  // the tutorial teaches the controls itself)
+  if (!hasSeenIntroScreen && !replayPlayback && gameMode !== "tutorial") {
     // Create and show the intro screen
     const introScreen = document.createElement("div");
     introScreen.id = "intro-screen";
@@ -519,11 +1071,13 @@ function startGame() {
       <div class="intro-subtitle">SYS://INIT_SEQUENCE</div>
       
       <div class="intro-controls">
-        <div class="control-item"><span class="key">SHIFT</span> PHASE THROUGH OBSTACLES</div>
-        <div class="control-item"><span class="key">↑</span><span class="key">W</span> ACCELERATE</div>
-        <div class="control-item"><span class="key">↓</span><span class="key">S</span> DECELERATE</div>
-        <div class="control-item"><span class="key">←</span><span class="key">A</span> LEFT LANE</div>
-        <div class="control-item"><span class="key">→</span><span class="key">D</span> RIGHT LANE</div>
+        <div class="control-item"><span data-binding="boost"></span> PHASE THROUGH OBSTACLES</div>
+        <div class="control-item"><span data-binding="accelerate"></span> ACCELERATE</div>
+        <div class="control-item"><span data-binding="decelerate"></span> DECELERATE</div>
+        <div class="control-item"><span data-binding="left"></span> LEFT LANE</div>
+        <div class="control-item"><span data-binding="right"></span> RIGHT LANE</div>
+        <div class="control-item"><span data-binding="pause"></span> PAUSE</div>
+        <div class="control-item touch-hint">SWIPE <span class="key">←→</span> LANES <span class="key">↑↓</span> SPEED // HOLD <span class="key">PHASE</span></div>
       </div>
       
       <div class="intro-message">> ENTERING GRID SECTOR 7001 <</div>
@@ -531,6 +1085,7 @@ function startGame() {
       <button id="continue-btn" class="continue-button">RACE >></button>
     `;
     document.body.appendChild(introScreen);
+    renderKeyBindingLabels();
     
     // Add CSS for the intro screen
     const style = document.createElement('style');
@@ -620,6 +1175,26 @@ function startGame() {
         background-color: rgba(0, 255, 255, 0.2);
         transform: scale(1.05);
       }
+      .touch-hint {
+        display: none;
+      }
+      @media (pointer: coarse) {
+        .touch-hint {
+          display: block;
+        }
+      }
+      @media (max-width: 600px) {
+        .intro-title {
+          font-size: 2.2rem;
+          letter-spacing: 2px;
+        }
+        .intro-controls {
+          padding: 1rem;
+        }
+        .control-item {
+          font-size: 0.95rem;
+        }
+      }
       @keyframes pulse {
         0%, 100% { box-shadow: 0 0 10px rgba(0, 255, 255, 0.5); }
         50% { box-shadow: 0 0 20px rgba(0, 255, 255, 0.8); }
@@ -677,47 +1252,168 @@ function startGame() {
           hasSeenIntroScreen = true;
           
           // Start the actual game
-          gameInfoElement.style.display = "block";
-          if (carTrail) carTrail.visible = true;
-          animate();
+          beginRun();
         }, 500); // Duration of fadeOut animation
       });
     }
   } else {
     // If the player has already seen the intro screen, just start the game directly
-    gameInfoElement.style.display = "block";
-    if (carTrail) carTrail.visible = true;
-    animate();
+    beginRun();
+  }
+}
+
+function beginRun() {
+  gameInfoElement.style.display = "block";
+  if (carTrail) carTrail.visible = true;
+  isRunActive = true;
+  updateTouchControlsVisibility();
+  countdownTime =
+    gameMode === "timeattack" && !replayPlayback ? COUNTDOWN_SECONDS : 0;
+  if (countdownTime > 0) showCountdown(COUNTDOWN_SECONDS);
+  clock.getDelta(); // Discard time spent in menus / on the intro screen
+  animate();
+}
+
+// --- Pause ---
+function pauseGame() {
+  if (!isRunActive || isPaused || gameOver) return;
+  isPaused = true;
+  if (animationFrameId) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
   }
+  // A Shift release while paused is never seen, so drop any boost now.
+  // The sim doesn't step until resume, so fuel and the combo stay frozen.
+  if (!replayPlayback)
+    pendingInputs.push({ action: "boostEnd", value: "pause" });
+  releaseHeldBoost();
+  stopAudio(); // Suspend boost/drift loops; resyncs from state on resume
+  if (pauseMenuElement) pauseMenuElement.style.display = "flex";
+  console.log("Grid Link Suspended.");
+  if (activeGamepadIndex !== null) pollGamepadWhilePaused();
+}
+
+function resumeGame() {
+  if (!isPaused) return;
+  isPaused = false;
+  if (pauseMenuElement) pauseMenuElement.style.display = "none";
+  clock.getDelta(); // Discard the time spent paused
+  animate();
 }
 
-function endGame() {
+function restartGame() {
+  if (!isPaused) return;
+  isPaused = false;
+  isRunActive = false;
+  if (pauseMenuElement) pauseMenuElement.style.display = "none";
+  startGame(gameMode, replayPlayback);
+}
+
+// reason: "crash", "timeUp", "tutorialDone", "quit" (from the pause menu)
+// or "replayEnd"
+function endGame(reason = "crash") {
   gameOver = true;
+  isRunActive = false;
+  isPaused = false;
+  if (pauseMenuElement) pauseMenuElement.style.display = "none";
+  releaseHeldBoost();
+  updateTouchControlsVisibility();
   if (animationFrameId) {
     cancelAnimationFrame(animationFrameId);
     animationFrameId = null;
   }
-  if (crashSound) crashSound.triggerAttackRelease(0.4); // Crash sound
-  collisionShakeTime = COLLISION_SHAKE_DURATION; // Shake
-  if (flashOverlay) {
-    flashOverlay.style.opacity = "0.7";
-    setTimeout(() => {
-      flashOverlay.style.opacity = "0";
-    }, 100);
-  } // Flash
+  if (reason === "crash") {
+    if (crashSound) crashSound.triggerAttackRelease(0.4); // Crash sound
+    if (soundtrack) soundtrack.breakdown();
+    rumbleGamepad(1.0, 0.8, 450);
+    collisionShakeTime = COLLISION_SHAKE_DURATION; // Shake
+    if (flashOverlay) {
+      flashOverlay.style.opacity = "0.7";
+      setTimeout(() => {
+        flashOverlay.style.opacity = "0";
+      }, 100);
+    } // Flash
+  } else if (reason === "timeUp") {
+    if (soundtrack) soundtrack.breakdown();
+    rumbleGamepad(0.6, 0.6, 300);
+  }
+  countdownTime = 0;
+  if (countdownElement) countdownElement.classList.remove("tick");
   console.log("Grid Connection Terminated.");
   stopAudio(); // Stop looping sounds
+  const { score, distanceTraveled } = sim.state;
+  if (replayRecording) {
+    replayRecording.steps = sim.state.step;
+    replayRecording.score = score;
+    replayRecording.distance = Math.floor(distanceTraveled);
+    lastReplay = replayRecording;
+    replayRecording = null;
+  } else if (replayPlayback) {
+    lastReplay = replayPlayback;
+  }
+  updateReplayButtons();
+  if (ghostRecording) {
+    saveGhostIfBest(ghostRecording, score, Math.floor(distanceTraveled));
+    ghostRecording = null;
+  }
   if (uiElement) uiElement.style.display = "flex";
-  if (messageElement)
-    messageElement.innerText = `Connection Lost!\nScore: ${score}\nDistance: ${Math.floor(distanceTraveled)}m`;
+  if (gameMode === "tutorial" && !replayPlayback) {
+    // Quitting counts too, so nobody is forced through it twice
+    markTutorialCompleted();
+    hasSeenIntroScreen = true;
+  }
+  if (reason !== "tutorialDone") modeAfterTutorial = null;
+  if (!replayPlayback && isRankedRun(gameMode, gameDifficulty)) {
+    const entry = {
+      initials: "",
+      score,
+      distance: Math.floor(distanceTraveled),
+      maxSpeed: Math.floor(sim.state.topSpeed * SPEED_DISPLAY_MULTIPLIER),
+      nearMisses: sim.state.nearMissCount,
+      date: new Date().toISOString(),
+      seed: formatSeed(runSeed),
+      mode: gameMode,
+      difficulty: gameDifficulty,
+    };
+    if (qualifiesForHighScore(entry)) startInitialsEntry(entry);
+  }
+  let runDetails = "";
+  if (gameMode === "timeattack") {
+    const { splits } = sim.state;
+    const bestSplits = loadBestSplits(gameDifficulty);
+    runDetails = formatSplits(splits, bestSplits);
+    const canSave = isRankedRun(gameMode, gameDifficulty) && !replayPlayback;
+    if (canSave && isBetterSplitRun(splits, bestSplits))
+      saveBestSplits(gameDifficulty, splits);
+  } else if (gameMode === "practice") {
+    runDetails = `\nHits: ${sim.state.hits}`;
+  }
+  if (messageElement) {
+    let modeLabel = "Endless";
+    if (gameMode === "daily") modeLabel = `Daily Grid ${getDailyKey()}`;
+    else if (gameMode === "timeattack") modeLabel = "Time Attack";
+    else if (gameMode === "practice") modeLabel = "Practice";
+    else if (gameMode === "tutorial") modeLabel = "Training";
+    const difficulty = LEADERBOARD_DIFFICULTIES.find(
+      ({ id }) => id === gameDifficulty,
+    );
+    modeLabel += ` (${difficulty ? difficulty.label : "Custom"})`;
+    let title = "Connection Lost!";
+    if (replayPlayback) title = "Replay Ended";
+    else if (reason === "quit") title = "Connection Closed.";
+    else if (reason === "timeUp") title = "Time Expired!";
+    else if (reason === "tutorialDone") title = "Training Complete!";
+    messageElement.innerText = `${title}\nScore: ${score}\nDistance: ${Math.floor(distanceTraveled)}m${runDetails}\n${modeLabel} // Seed: ${formatSeed(runSeed)}`;
+  }
   if (gameInfoElement) gameInfoElement.style.display = "none";
+  if (tutorialPromptElement) tutorialPromptElement.style.display = "none";
   setCarOpacity(1.0); // Ensure car is fully opaque on game over screen
 }
 
 // --- Helper Functions ---
 
 // Helper to set car opacity (including special handling for glass)
-function setCarOpacity(targetGeneralOpacity) {
+function setCarOpacity(targetGeneralOpacity, lerpFactor = 0.1) {
   if (!car) return;
 
   const targetGlassOpacity =
@@ -738,7 +1434,7 @@ function setCarOpacity(targetGeneralOpacity) {
             ? targetGlassOpacity
             : targetGeneralOpacity;
         child.material.opacity +=
-          (currentTarget - child.material.opacity) * 0.1; // Smooth transition (lerp factor 0.1)
+          (currentTarget - child.material.opacity) * lerpFactor; // Smooth transition
 
         // Clamp opacity just in case
         child.material.opacity = Math.max(
@@ -750,138 +1446,437 @@ function setCarOpacity(targetGeneralOpacity) {
   });
 }
 
+// --- Road Pool ---
+// Road segments are recycled: a segment that falls behind is hidden and
+// reshaped for the next stretch of track instead of being disposed. Each
+// sector theme gets one shared road and one shared line material.
+function getRoadMaterials(theme) {
+  if (!roadMaterials.has(theme)) {
+    roadMaterials.set(theme, {
+      road: new THREE.MeshStandardMaterial({
+        color: theme.road,
+        metalness: 0.1,
+        roughness: 0.8,
+      }),
+      line: new THREE.MeshBasicMaterial({ color: theme.line }),
+    });
+  }
+  return roadMaterials.get(theme);
+}
 function createRoadSegment(zPosition) {
-  /* ... unchanged ... */
-  const roadMat = new THREE.MeshStandardMaterial({
-    color: 0x1a1a1a,
-    metalness: 0.1,
-    roughness: 0.8,
-  });
-  const roadGeo = new THREE.PlaneGeometry(laneWidth * 3, roadSegmentLength);
-  const roadSegment = new THREE.Mesh(roadGeo, roadMat);
-  roadSegment.rotation.x = -Math.PI / 2;
-  roadSegment.position.y = 0;
-  roadSegment.position.z = zPosition;
-  scene.add(roadSegment);
-  roadSegments.push(roadSegment);
-  const lineMat = new THREE.MeshBasicMaterial({ color: 0x00ffff });
-  for (let i = -1; i <= 1; i += 2) {
-    const lineGeo = new THREE.PlaneGeometry(0.15, roadSegmentLength);
-    const line = new THREE.Mesh(lineGeo, lineMat);
-    line.rotation.x = -Math.PI / 2;
-    line.position.set((i * laneWidth) / 2, 0.01, 0);
-    roadSegment.add(line);
+  const materials = getRoadMaterials(sectorTheme);
+  const halfWidth = (laneWidth * 3) / 2;
+  let roadSegment = roadSegmentPool.pop();
+  if (!roadSegment) {
+    // Built in world space along the track, so the mesh itself stays at the
+    // origin and its track position is kept in userData
+    roadSegment = new THREE.Mesh(
+      track.createStripGeometry(
+        zPosition,
+        roadSegmentLength,
+        -halfWidth,
+        halfWidth,
+        0,
+        ROAD_SEGMENT_ROWS,
+      ),
+      materials.road,
+    );
+    for (let i = -1; i <= 1; i += 2) {
+      const lineX = (i * laneWidth) / 2;
+      const lineGeo = track.createStripGeometry(
+        zPosition,
+        roadSegmentLength,
+        lineX - 0.075,
+        lineX + 0.075,
+        0.01,
+        ROAD_SEGMENT_ROWS,
+      );
+      const line = new THREE.Mesh(lineGeo, materials.line);
+      line.userData.lineX = lineX;
+      roadSegment.add(line);
+    }
+    scene.add(roadSegment);
+  } else {
+    track.updateStripGeometry(
+      roadSegment.geometry,
+      zPosition,
+      roadSegmentLength,
+      -halfWidth,
+      halfWidth,
+      0,
+    );
+    roadSegment.children.forEach((line) => {
+      const { lineX } = line.userData;
+      track.updateStripGeometry(
+        line.geometry,
+        zPosition,
+        roadSegmentLength,
+        lineX - 0.075,
+        lineX + 0.075,
+        0.01,
+      );
+      line.material = materials.line;
+    });
+    roadSegment.material = materials.road;
+    roadSegment.visible = true;
   }
+  roadSegment.userData.trackZ = zPosition;
+  roadSegments.push(roadSegment);
   return roadSegment;
 }
-function spawnBuildingObstacle(zPosition) {
-  /* ... unchanged ... */
-  const lanePositions = [-1, 0, 1];
-  const obstacleCount = Math.random() < 0.6 ? 1 : 2;
-  const availableLaneIndices = [0, 1, 2];
-  const blockedLaneIndices = [];
-  while (
-    blockedLaneIndices.length < obstacleCount &&
-    availableLaneIndices.length > 0
-  ) {
-    const randomIndex = Math.floor(Math.random() * availableLaneIndices.length);
-    const chosenIndex = availableLaneIndices.splice(randomIndex, 1)[0];
-    blockedLaneIndices.push(chosenIndex);
-  }
-  blockedLaneIndices.forEach((laneIndex) => {
-    const height = 20 + Math.random() * 40;
-    const width = 3.5 + Math.random() * 1.5;
-    const depth = width;
-    const emissiveColor =
-      CYBER_NEON_COLORS[Math.floor(Math.random() * CYBER_NEON_COLORS.length)];
-    const buildingMat = new THREE.MeshStandardMaterial({
-      color: 0x08080a,
-      metalness: 0.2,
-      roughness: 0.7,
-      emissive: emissiveColor,
-      emissiveIntensity: 1.0 + Math.random(),
-    });
-    const buildingGeo = new THREE.BoxGeometry(width, height, depth);
-    const building = new THREE.Mesh(buildingGeo, buildingMat);
-    const xPos = lanePositions[laneIndex] * laneWidth;
-    building.position.set(xPos, height / 2, zPosition);
-    building.userData.width = width;
-    building.userData.depth = depth;
-    building.userData.height = height;
-    scene.add(building);
-    buildings.push(building);
+function releaseRoadSegment(roadSegment) {
+  roadSegment.visible = false;
+  roadSegmentPool.push(roadSegment);
+}
+
+// --- Instanced Obstacles & Pickups ---
+// Every obstacle is drawn as a few boxes ("parts") in one shared InstancedMesh,
+// and each pickup kind has its own InstancedMesh, so the draw call count is
+// fixed and spawning allocates nothing. Instance colors drive the emissive
+// glow (the material's shader is patched to use them that way).
+const MAX_OBSTACLE_BOXES = 512;
+const MAX_DEBRIS_SHADOWS = 32;
+const MAX_PICKUPS_PER_KIND = 16;
+const HIDDEN_INSTANCE = new THREE.Matrix4().makeScale(0, 0, 0);
+const instanceDummy = new THREE.Object3D();
+const instanceColor = new THREE.Color();
+let obstacleBoxPool = null;
+let debrisShadowPool = null;
+const pickupPools = {};
+
+function createInstancedNeonMaterial() {
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x08080a,
+    metalness: 0.2,
+    roughness: 0.7,
+    emissive: 0xffffff,
   });
+  material.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader
+      .replace("#include <color_fragment>", "")
+      .replace(
+        "#include <emissivemap_fragment>",
+        "#include <emissivemap_fragment>\n\ttotalEmissiveRadiance *= vColor;",
+      );
+  };
+  return material;
 }
-function createRain() {
-  /* ... unchanged ... */
-  const vertices = [];
-  const initialRainDepth = 500;
-  const initialRainHeight = 300;
-  const initialRainWidth = 200;
-  for (let i = 0; i < RAIN_COUNT; i++) {
-    const x = Math.random() * initialRainWidth - initialRainWidth / 2;
-    const y = Math.random() * initialRainHeight + 50;
-    const z = Math.random() * initialRainDepth - initialRainDepth * 0.8;
-    vertices.push(x, y, z);
-  }
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute(
-    "position",
-    new THREE.Float32BufferAttribute(vertices, 3),
+
+function createInstancePool(geometry, material, capacity) {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(
+    new Float32Array(capacity * 3),
+    3,
   );
-  geometry.computeBoundingSphere();
-  const material = new THREE.PointsMaterial({
-    color: 0xaaaaee,
-    size: 0.2,
-    transparent: true,
-    opacity: 0.6,
-    sizeAttenuation: true,
+  mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+  mesh.frustumCulled = false; // Instances are spread along the whole track
+  const free = [];
+  for (let i = capacity - 1; i >= 0; i--) {
+    mesh.setMatrixAt(i, HIDDEN_INSTANCE);
+    free.push(i);
+  }
+  scene.add(mesh);
+  return {
+    mesh,
+    acquire() {
+      if (free.length === 0) {
+        console.warn("Instance pool exhausted.");
+        return -1;
+      }
+      return free.pop();
+    },
+    release(index) {
+      if (index < 0) return;
+      mesh.setMatrixAt(index, HIDDEN_INSTANCE);
+      mesh.instanceMatrix.needsUpdate = true;
+      free.push(index);
+    },
+    // Places instance `index` at track coordinates with the given size
+    set(index, x, y, z, sx, sy, sz, color, intensity = 1, yaw = 0) {
+      if (index < 0) return;
+      track.place(instanceDummy, x, y, z, yaw);
+      instanceDummy.scale.set(sx, sy, sz);
+      instanceDummy.updateMatrix();
+      mesh.setMatrixAt(index, instanceDummy.matrix);
+      mesh.setColorAt(
+        index,
+        instanceColor.set(color).multiplyScalar(intensity),
+      );
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+    },
+  };
+}
+
+function createInstancePools() {
+  obstacleBoxPool = createInstancePool(
+    new THREE.BoxGeometry(1, 1, 1),
+    createInstancedNeonMaterial(),
+    MAX_OBSTACLE_BOXES,
+  );
+  const shadowGeometry = new THREE.CircleGeometry(0.8, 24);
+  shadowGeometry.rotateX(-Math.PI / 2);
+  debrisShadowPool = createInstancePool(
+    shadowGeometry,
+    new THREE.MeshBasicMaterial({
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    }),
+    MAX_DEBRIS_SHADOWS,
+  );
+  const pickupGeometries = {
+    fuel: new THREE.CylinderGeometry(
+      PICKUP_SIZE * 0.3,
+      PICKUP_SIZE * 0.3,
+      PICKUP_SIZE,
+      12,
+    ),
+    multiplier: new THREE.OctahedronGeometry(PICKUP_SIZE * 0.6),
+    shield: new THREE.IcosahedronGeometry(PICKUP_SIZE * 0.55),
+    // Horseshoe magnet
+    magnet: new THREE.TorusGeometry(
+      PICKUP_SIZE * 0.4,
+      PICKUP_SIZE * 0.15,
+      8,
+      16,
+      Math.PI,
+    ),
+  };
+  const pickupMaterial = createInstancedNeonMaterial();
+  Object.keys(pickupGeometries).forEach((kind) => {
+    pickupPools[kind] = createInstancePool(
+      pickupGeometries[kind],
+      pickupMaterial,
+      MAX_PICKUPS_PER_KIND,
+    );
   });
-  rainParticles = new THREE.Points(geometry, material);
-  rainParticles.frustumCulled = false;
-  scene.add(rainParticles);
 }
-function updateRain(delta) {
-  /* ... unchanged ... */
-  if (
-    !rainParticles ||
-    !rainParticles.geometry ||
-    !rainParticles.geometry.attributes.position ||
-    !car ||
-    !camera
-  )
-    return;
-  const positions = rainParticles.geometry.attributes.position.array;
-  const fallSpeed = 80 + speed * 2;
-  const cameraX = camera.position.x;
-  const cameraZ = camera.position.z;
-  const rainVisibleDepth = 400;
-  const rainResetBehindOffset = 80;
-  const rainResetAheadBuffer = 100;
-  const rainHorizontalSpread = 250;
-  const rainResetHeightMin = camera.position.y + 50;
-  const rainResetHeightMax = camera.position.y + 150;
-  const groundLevel = -10;
-  for (let i = 0; i < RAIN_COUNT; i++) {
-    const xIndex = i * 3 + 0;
-    const yIndex = i * 3 + 1;
-    const zIndex = i * 3 + 2;
-    positions[yIndex] -= fallSpeed * delta;
-    const isBelowGround = positions[yIndex] < groundLevel;
-    const isTooFarBehind = positions[zIndex] > cameraZ + rainResetBehindOffset;
-    const isTooFarAhead =
-      positions[zIndex] < cameraZ - rainVisibleDepth - rainResetAheadBuffer;
-    if (isBelowGround || isTooFarBehind || isTooFarAhead) {
-      positions[yIndex] =
-        Math.random() * (rainResetHeightMax - rainResetHeightMin) +
-        rainResetHeightMin;
-      positions[xIndex] =
-        cameraX +
-        (Math.random() * rainHorizontalSpread - rainHorizontalSpread / 2);
-      positions[zIndex] = cameraZ - Math.random() * rainVisibleDepth - 1;
+
+// Boxes making up an obstacle, in track coordinates relative to the
+// obstacle's x/z. Animated parts are refreshed in updateObstacleMeshes.
+function getObstacleParts(obstacle, visual) {
+  const { width, height, depth, y } = obstacle;
+  switch (obstacle.kind) {
+    case "slider":
+      return [
+        {
+          x: 0,
+          y: height / 2,
+          width,
+          height,
+          depth,
+          color: HAZARD_COLOR,
+          intensity: 1.5,
+        },
+      ];
+    case "gate": {
+      // Frame with a door that rises out of the way while the gate is open
+      const doorColor = obstacle.isOpen ? GATE_OPEN_COLOR : GATE_CLOSED_COLOR;
+      const frame = { color: CYBER_NEON_COLORS[0], intensity: 1.2 };
+      return [
+        { ...frame, x: -width / 2, y: height / 2, width: 0.3, height, depth },
+        { ...frame, x: width / 2, y: height / 2, width: 0.3, height, depth },
+        { ...frame, x: 0, y: height, width, height: 0.3, depth },
+        {
+          x: 0,
+          y: height / 2 + visual.openAmount * height,
+          width: width - 0.3,
+          height,
+          depth: depth * 0.5,
+          color: doorColor,
+          intensity: 1.5,
+        },
+      ];
+    }
+    case "lowbar": {
+      const bar = { color: CYBER_NEON_COLORS[3], intensity: 2.0 };
+      const postHeight = y + height;
+      return [
+        { ...bar, x: 0, y: y + height / 2, width, height, depth },
+        {
+          ...bar,
+          x: -width / 2,
+          y: postHeight / 2,
+          width: 0.4,
+          height: postHeight,
+          depth: 0.4,
+        },
+        {
+          ...bar,
+          x: width / 2,
+          y: postHeight / 2,
+          width: 0.4,
+          height: postHeight,
+          depth: 0.4,
+        },
+      ];
+    }
+    case "debris":
+      return [
+        {
+          x: 0,
+          y: y + height / 2,
+          width,
+          height,
+          depth,
+          color: HAZARD_COLOR,
+          intensity: 1.2,
+          yaw: obstacle.spin,
+        },
+      ];
+    default: {
+      const { palette } = sectorTheme;
+      return [
+        {
+          x: 0,
+          y: height / 2,
+          width,
+          height,
+          depth,
+          color: palette[Math.floor(obstacle.colorRoll * palette.length)],
+          intensity: 1.0 + obstacle.glowRoll,
+        },
+      ];
     }
   }
-  rainParticles.geometry.attributes.position.needsUpdate = true;
+}
+
+function drawObstacle(obstacle, visual) {
+  getObstacleParts(obstacle, visual).forEach((part, i) => {
+    obstacleBoxPool.set(
+      visual.boxes[i],
+      obstacle.x + part.x,
+      part.y,
+      obstacle.z,
+      part.width,
+      part.height,
+      part.depth,
+      part.color,
+      part.intensity,
+      part.yaw,
+    );
+  });
+  if (visual.shadow !== undefined) {
+    // Debris shadow brightens as the block drops, telegraphing where it lands
+    const drop = visual.startY > 0 ? 1 - obstacle.y / visual.startY : 1;
+    const size = obstacle.width;
+    debrisShadowPool.set(
+      visual.shadow,
+      obstacle.x,
+      0.05,
+      obstacle.z,
+      size,
+      1,
+      size,
+      GATE_CLOSED_COLOR,
+      0.2 + 0.6 * drop,
+    );
+  }
+}
+
+function createObstacleMesh(obstacle) {
+  const visual = { boxes: [], openAmount: obstacle.isOpen ? 1 : 0 };
+  // Colors are fixed at spawn (buildings take the current sector's palette)
+  const parts = getObstacleParts(obstacle, visual);
+  parts.forEach(() => visual.boxes.push(obstacleBoxPool.acquire()));
+  if (obstacle.kind === "debris") {
+    visual.shadow = debrisShadowPool.acquire();
+    visual.startY = obstacle.y;
+  }
+  drawObstacle(obstacle, visual);
+  obstacleMeshes.set(obstacle.id, visual);
+  return visual;
+}
+function removeObstacleMesh(visual) {
+  visual.boxes.forEach((index) => obstacleBoxPool.release(index));
+  if (visual.shadow !== undefined) debrisShadowPool.release(visual.shadow);
+}
+function createPickupMesh(pickup) {
+  const instance = {
+    kind: pickup.kind,
+    index: pickupPools[pickup.kind].acquire(),
+  };
+  pickupMeshes.set(pickup.id, instance);
+  return instance;
+}
+function removePickupMesh(pickup) {
+  const instance = pickupMeshes.get(pickup.id);
+  if (!instance) return;
+  pickupPools[instance.kind].release(instance.index);
+  pickupMeshes.delete(pickup.id);
+}
+// Pickups follow the simulation (the magnet moves them) and bob in place
+function updatePickupMeshes() {
+  const bob = Math.sin(clock.elapsedTime * 4) * 0.2;
+  const spin = clock.elapsedTime * 2;
+  sim.state.pickups.forEach((pickup) => {
+    const instance = pickupMeshes.get(pickup.id);
+    if (!instance) return;
+    const { color } = PICKUP_STYLES[pickup.kind];
+    pickupPools[pickup.kind].set(
+      instance.index,
+      pickup.x,
+      1.2 + bob,
+      pickup.z,
+      1,
+      1,
+      1,
+      color,
+      2.0,
+      spin,
+    );
+  });
+  shieldBubble.visible = sim.state.hasShield;
+  car.localToWorld(shieldBubble.position.set(0, 0.8, 0));
+}
+// Redraws obstacles that animate in the simulation
+function updateObstacleMeshes(smoothing) {
+  sim.state.obstacles.forEach((obstacle) => {
+    const visual = obstacleMeshes.get(obstacle.id);
+    if (!visual || obstacle.kind === "building" || obstacle.kind === "lowbar")
+      return;
+    if (obstacle.kind === "gate") {
+      const target = obstacle.isOpen ? 1 : 0;
+      visual.openAmount += (target - visual.openAmount) * smoothing(0.3);
+    }
+    drawObstacle(obstacle, visual);
+  });
+}
+function createRainEffect() {
+  rain = createRain({
+    dropCount: RAIN_COUNT,
+    splashCount: SPLASH_COUNT,
+    roadHalfWidth: (laneWidth * 3) / 2,
+  });
+  scene.add(rain.drops);
+  scene.add(rain.splashes);
+}
+// The drops live in the road's frame under the car (turned with the road but
+// kept upright) and stream past by the distance driven each frame; splashes
+// sit on the road surface itself. Both are animated in rain.js's shaders.
+function updateRain(delta, carTrackZ) {
+  if (!rain || !car || !camera) return;
+  const frame = track.getFrame(carTrackZ);
+  rain.drops.position.copy(frame.position);
+  rain.drops.rotation.set(0, frame.yaw, 0);
+  track.place(rain.splashes, 0, 0, carTrackZ);
+  const travelled = rainTrackZ === null ? 0 : rainTrackZ - carTrackZ;
+  rainTrackZ = carTrackZ;
+  const { isBoosting } = sim.state;
+  const speed = sim.state.speed / FIXED_TIMESTEP; // Per second, for rain.js
+  rain.update({
+    delta,
+    travelled,
+    fallSpeed: 80 + speed * 0.035,
+    speed,
+    // Streaks stretch with speed (about 6 units at top speed), and more so
+    // while boosting
+    streak: isBoosting ? 0.02 : 0.01,
+    centerX: cameraTrackX,
+    pointScale: (window.innerHeight / 2) * renderer.getPixelRatio(),
+  });
 }
 function createCarTrail() {
   /* ... unchanged ... */
@@ -892,15 +1887,6 @@ function createCarTrail() {
     new THREE.BufferAttribute(positions, 3),
   );
   const colors = new Float32Array(TRAIL_LENGTH * 2 * 3);
-  for (let i = 0; i < TRAIL_LENGTH; i++) {
-    const intensity = 1.0 - i / TRAIL_LENGTH;
-    colors[i * 6 + 0] = 1.0 * intensity;
-    colors[i * 6 + 1] = 0.0;
-    colors[i * 6 + 2] = 1.0 * intensity;
-    colors[i * 6 + 3] = 1.0 * intensity;
-    colors[i * 6 + 4] = 0.0;
-    colors[i * 6 + 5] = 1.0 * intensity;
-  }
   trailGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
   trailMaterial = new THREE.MeshBasicMaterial({
     side: THREE.DoubleSide,
@@ -922,6 +1908,24 @@ function createCarTrail() {
   carTrail.frustumCulled = false;
   carTrail.visible = false;
   scene.add(carTrail);
+  setTrailLength(trailActiveLength);
+}
+// Draws only the first `length` points of the trail, fading out over them
+function setTrailLength(length) {
+  trailActiveLength = Math.max(2, Math.min(TRAIL_LENGTH, length));
+  if (!trailGeometry) return;
+  const colors = trailGeometry.attributes.color.array;
+  for (let i = 0; i < TRAIL_LENGTH; i++) {
+    const intensity = Math.max(0, 1.0 - i / trailActiveLength);
+    colors[i * 6 + 0] = 1.0 * intensity;
+    colors[i * 6 + 1] = 0.0;
+    colors[i * 6 + 2] = 1.0 * intensity;
+    colors[i * 6 + 3] = 1.0 * intensity;
+    colors[i * 6 + 4] = 0.0;
+    colors[i * 6 + 5] = 1.0 * intensity;
+  }
+  trailGeometry.attributes.color.needsUpdate = true;
+  trailGeometry.setDrawRange(0, (trailActiveLength - 1) * 6);
 }
 function updateCarTrail() {
   /* ... unchanged ... */
@@ -935,16 +1939,18 @@ function updateCarTrail() {
     positions[i * 6 + 4] = positions[(i - 1) * 6 + 4];
     positions[i * 6 + 5] = positions[(i - 1) * 6 + 5];
   }
+  // Rear corners in the car's own frame, so the trail follows bends and banking
   const trailWidth = car.userData.width * 0.7;
-  const trailOffsetZ = car.userData.depth / 2;
-  const rearCenterZ = car.position.z + trailOffsetZ;
-  const rearY = car.position.y - 0.1;
-  positions[0] = car.position.x - trailWidth / 2;
-  positions[1] = rearY;
-  positions[2] = rearCenterZ;
-  positions[3] = car.position.x + trailWidth / 2;
-  positions[4] = rearY;
-  positions[5] = rearCenterZ;
+  const rearZ = -car.userData.depth / 2;
+  const corner = car.localToWorld(trailCorner.set(trailWidth / 2, -0.1, rearZ));
+  positions[0] = corner.x;
+  positions[1] = corner.y;
+  positions[2] = corner.z;
+  car.localToWorld(trailCorner.set(-trailWidth / 2, -0.1, rearZ));
+  positions[3] = trailCorner.x;
+  positions[4] = trailCorner.y;
+  positions[5] = trailCorner.z;
+  const { speed, isBoosting } = sim.state;
   const speedRatio = Math.min(
     1,
     speed / (maxSpeed * (isBoosting ? boostSpeedMultiplier : 1)),
@@ -956,344 +1962,1788 @@ function updateCarTrail() {
 function cleanupOldRoadSegments() {
   /* ... unchanged ... */
   if (!car) return;
-  const carZ = car.position.z;
   const cleanupThresholdZ =
-    carZ + roadSegmentLength * (visibleSegments / 2 + 4);
+    sim.state.carZ + roadSegmentLength * (visibleSegments / 2 + 4);
   const segmentsToRemove = roadSegments.filter(
-    (segment) => segment.position.z > cleanupThresholdZ,
+    (segment) => segment.userData.trackZ > cleanupThresholdZ,
   );
-  segmentsToRemove.forEach((segment) => {
-    while (segment.children.length > 0) {
-      const child = segment.children[0];
-      segment.remove(child);
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) child.material.dispose();
-    }
-    scene.remove(segment);
-    if (segment.geometry) segment.geometry.dispose();
-    if (segment.material) segment.material.dispose();
-  });
+  segmentsToRemove.forEach(releaseRoadSegment);
   roadSegments = roadSegments.filter(
-    (segment) => segment.position.z <= cleanupThresholdZ,
+    (segment) => segment.userData.trackZ <= cleanupThresholdZ,
   );
-  roadSegments.sort((a, b) => b.position.z - a.position.z);
+  roadSegments.sort((a, b) => b.userData.trackZ - a.userData.trackZ);
+  track.prune(CAR_START_Z - sim.state.carZ);
+}
+
+// --- Replay Functions ---
+function createReplayRecording() {
+  return {
+    version: REPLAY_VERSION,
+    game: "gridline-racer-7001",
+    mode: gameMode,
+    difficulty: gameDifficulty,
+    tuning: runTuning,
+    seed: formatSeed(runSeed),
+    dailyKey: gameMode === "daily" ? getDailyKey() : null,
+    recordedAt: new Date().toISOString(),
+    timestep: FIXED_TIMESTEP,
+    steps: 0,
+    events: [],
+  };
 }
 
-// --- Collision Check (MODIFIED) ---
-function checkCollisionsAndNearMisses() {
-  if (!car || gameOver) return;
+function recordInput(action, value, step, time) {
+  if (!replayRecording) return;
+  const event = { step, t: Math.round(time * 1000), action };
+  if (value !== undefined) event.value = value;
+  replayRecording.events.push(event);
+}
 
-  const carZ = car.position.z;
-  const carX = car.position.x;
-  const carWidth = car.userData.width || 2;
-  const carDepth = car.userData.depth || 3.8;
-  const cleanupThresholdZ = carZ + 100;
+// Inputs the replay applied before the given step
+function takeReplayInputs(step) {
+  const events = replayPlayback.events;
+  const inputs = [];
+  while (
+    replayEventIndex < events.length &&
+    events[replayEventIndex].step <= step
+  ) {
+    const { action, value } = events[replayEventIndex];
+    inputs.push({ action, value });
+    replayEventIndex++;
+  }
+  return inputs;
+}
 
-  let nearMissDetectedThisFrame = false;
+function validateReplay(data) {
+  if (!data || data.game !== "gridline-racer-7001")
+    throw new Error("Not a Gridline replay.");
+  if (data.version !== REPLAY_VERSION)
+    throw new Error(`Unsupported replay version ${data.version}.`);
+  if (
+    parseSeed(data.seed) === null ||
+    !Number.isInteger(data.steps) ||
+    !Array.isArray(data.events) ||
+    data.events.some((e) => !e || !Number.isInteger(e.step)) ||
+    typeof data.difficulty !== "string"
+  )
+    throw new Error("Replay data corrupted.");
+  if (!GAME_MODES.includes(data.mode)) data.mode = "endless";
+  data.tuning = resolveTuning(data.tuning);
+  return data;
+}
 
-  if (nearMissCooldown > 0) nearMissCooldown -= delta;
+function loadReplayFile(file) {
+  file
+    .text()
+    .then((text) => {
+      const replay = validateReplay(JSON.parse(text));
+      console.log(
+        `Replay loaded: seed ${replay.seed}, ${replay.events.length} inputs.`,
+      );
+      startGame(replay.mode, replay);
+    })
+    .catch((e) => {
+      console.error("Replay load failed:", e);
+      if (messageElement)
+        messageElement.innerText = `Replay Rejected!\n${e.message}`;
+    });
+}
 
-  for (let i = buildings.length - 1; i >= 0; i--) {
-    const building = buildings[i];
-    const buildingZ = building.position.z;
+function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `gridline-replay-${replay.seed}-${replay.score || 0}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
-    // 1. Cleanup
-    if (buildingZ > cleanupThresholdZ) {
-      /* ... cleanup ... */
-      scene.remove(building);
-      if (building.geometry) building.geometry.dispose();
-      if (building.material) building.material.dispose();
-      buildings.splice(i, 1);
-      continue;
-    }
+function updateReplayButtons() {
+  const display = lastReplay ? "inline-block" : "none";
+  if (watchReplayBtnElement) watchReplayBtnElement.style.display = display;
+  if (saveReplayBtnElement) saveReplayBtnElement.style.display = display;
+}
 
-    const buildingX = building.position.x;
-    const buildingWidth = building.userData.width || 3.5;
-    const buildingDepth = building.userData.depth || 3.5;
-
-    // 2. Collision Check (Only trigger game over if NOT boosting)
-    const collisionMargin = 0.9;
-    const collisionX =
-      Math.abs(carX - buildingX) * 2 <
-      (carWidth + buildingWidth) * collisionMargin;
-    const collisionZ =
-      Math.abs(carZ - buildingZ) * 2 <
-      (carDepth + buildingDepth) * collisionMargin;
-
-    // --- >>> MODIFICATION START <<< ---
-    if (collisionX && collisionZ && !isBoosting) {
-      // Check !isBoosting
-      console.log("Collision Alert! Dropping Connection...");
-      endGame(); // Call endGame only if not boosting
-      return; // Exit immediately on game-ending collision
-    }
-    // --- >>> MODIFICATION END <<< ---
-
-    // 3. Near Miss Check (Still active even when boosting)
-    if (nearMissCooldown <= 0) {
-      const nearMissMarginX =
-        carWidth / 2 + buildingWidth / 2 + NEAR_MISS_THRESHOLD;
-      const sideProximityZ =
-        Math.abs(carZ - buildingZ) < carDepth / 2 + buildingDepth / 2;
-      const nearX = Math.abs(carX - buildingX) < nearMissMarginX;
-
-      // Ensure it wasn't an actual collision we are phasing through
-      const actualCollision = collisionX && collisionZ;
-
-      if (nearX && sideProximityZ && !actualCollision) {
-        // Trigger near miss only if not currently inside obstacle
-        nearMissDetectedThisFrame = true;
-        score += 50;
-        nearMissCooldown = 0.5;
-        console.log("Near Miss!");
-
-        // Visual cue (Cyan flash)
-        if (flashOverlay) {
-          /* ... flash ... */
-          const originalColor = flashOverlay.style.backgroundColor;
-          flashOverlay.style.backgroundColor = "rgba(0, 255, 255, 0.5)";
-          flashOverlay.style.opacity = "0.5";
-          setTimeout(() => {
-            flashOverlay.style.opacity = "0";
-            setTimeout(
-              () =>
-                (flashOverlay.style.backgroundColor =
-                  originalColor || "rgba(255, 0, 0, 0.7)"),
-              50,
-            );
-          }, 50);
-        }
-      }
-    }
-  } // End building loop
+// --- Ghost Functions ---
+function getGhostKey(mode, difficulty) {
+  return `${mode}:${difficulty}`;
+}
 
-  // Play near miss sound
-  if (
-    nearMissDetectedThisFrame &&
-    nearMissSound &&
-    nearMissSound.state !== "started"
-  ) {
-    nearMissSound.start();
+function loadGhosts() {
+  try {
+    const ghosts = JSON.parse(localStorage.getItem(GHOSTS_KEY));
+    return ghosts && typeof ghosts === "object" ? ghosts : {};
+  } catch (e) {
+    console.warn("Ghost storage unreadable:", e);
+    return {};
   }
 }
 
-// --- Game Loop (MODIFIED for Min Speed & Speed Display) ---
-function animate() {
-    if (gameOver) return;
-    animationFrameId = requestAnimationFrame(animate);
-    delta = clock.getDelta();
-  
-    // --- Update Game Logic ---
-  
-    // --- >>> SCORING MODIFICATION (Already Implemented) <<< ---
-    const scoreMultiplier = 2;
-    score += Math.floor(Math.pow(speed, 2) * delta * scoreMultiplier);
-    // --- >>> SCORING MODIFICATION END <<< ---
-  
-  
-    // --- >>> MINIMUM SPEED INCREASE (Already Implemented, Verified Use) <<< ---
-    // minSpeed increases gradually based on distance
-    minSpeed = baseMinSpeed + distanceTraveled * speedIncreaseRate;
-    // Ensure the target speed never falls below the current minimum speed
-    targetSpeed = Math.max(targetSpeed, minSpeed);
-    // --- >>> MINIMUM SPEED INCREASE END <<< ---
-  
-  
-    // --- Boost Logic & Sound ---
-    const currentMaxSpeed = isBoosting
-      ? maxSpeed * boostSpeedMultiplier
-      : maxSpeed;
-    const currentAcceleration = isBoosting ? acceleration * 1.8 : acceleration;
-  
-    if (isBoosting) {
-      boostFuel -= boostConsumeRate * delta;
-      if (boostFuel <= 0) {
-        isBoosting = false;
-        boostFuel = 0;
-        if (boostSound && isBoostSoundActive) {
-          boostSound.triggerRelease();
-          isBoostSoundActive = false;
-        }
-      }
-      if (!isBoostSoundActive && boostSound && boostFuel > 0) {
-        boostSound.triggerAttack();
-        isBoostSoundActive = true;
-      }
-    } else {
-      boostFuel = Math.min(boostMaxFuel, boostFuel + boostRegenRate * delta);
-      if (isBoostSoundActive && boostSound) {
-        boostSound.triggerRelease();
-        isBoostSoundActive = false;
-      }
-    }
-  
-    // Update boost meter UI
-    if (boostLevelElement) {
-      const boostPercentage = (boostFuel / boostMaxFuel) * 100;
-      boostLevelElement.style.width = `${boostPercentage}%`;
-      if (boostPercentage < 25)
-        boostLevelElement.style.backgroundColor = "#ff3333";
-      else if (boostPercentage < 50)
-        boostLevelElement.style.backgroundColor = "#ffaa33";
-      else boostLevelElement.style.backgroundColor = "#ff00ff";
-    }
-  
-    // Update speed (Ensure speed doesn't drop below current minSpeed during deceleration)
-    if (speed < targetSpeed)
-      speed = Math.min(speed + currentAcceleration, currentMaxSpeed);
-    else if (speed > targetSpeed)
-      // Ensure deceleration doesn't go below the *current* minimum speed
-      speed = Math.max(speed - deceleration, minSpeed);
-    speed = Math.min(speed, currentMaxSpeed); // Clamp speed to current max
-  
-  
-    // --- Car Opacity for Phasing ---
-    const targetOpacityValue = isBoosting ? BOOST_OPACITY : 1.0;
-    setCarOpacity(targetOpacityValue);
-  
-  
-    if (car) {
-      const targetX = lane * laneWidth;
-      const oldX = car.position.x;
-      car.position.x += (targetX - oldX) * 0.2;
-      car.position.z -= speed;
-      distanceTraveled += speed;
-  
-      // --- Drift Sound Logic ---
-      const isCurrentlySwitchingLanes =
-        Math.abs(car.position.x - targetX) > 0.1 &&
-        Math.abs(oldX - targetX) > 0.1;
-      if (driftSynth) {
-        if (isCurrentlySwitchingLanes && !isDriftSynthActive) {
-          driftSynth.triggerAttack();
-          isDriftSynthActive = true;
-        } else if (!isCurrentlySwitchingLanes && isDriftSynthActive) {
-          driftSynth.triggerRelease();
-          isDriftSynthActive = false;
-        }
-      }
-  
-      // Update Camera & FOV
-      camera.position.z = car.position.z + 14;
-      camera.position.y = 7;
-      camera.position.x += (car.position.x - camera.position.x) * 0.05;
-      camera.lookAt(car.position.x, 1, car.position.z - 15);
-      const baseFOV = 75;
-      const maxFOVBoost = isBoosting ? 18 : 10;
-      camera.fov = baseFOV + (speed / currentMaxSpeed) * maxFOVBoost;
-      camera.updateProjectionMatrix();
-  
-      // Camera Shake
-      const speedShakeIntensity = speed * 0.005 + (isBoosting ? 0.02 : 0);
-      const shakeX = (Math.random() - 0.5) * speedShakeIntensity;
-      const shakeY = (Math.random() - 0.5) * speedShakeIntensity;
-      camera.position.x += shakeX;
-      camera.position.y += shakeY;
-  
-      // Road & Obstacle Management
-      if (roadSegments.length > 0) {
-        const farthestRoadZ = roadSegments[roadSegments.length - 1].position.z;
-        if (
-          car.position.z <
-          farthestRoadZ + roadSegmentLength * (visibleSegments / 2)
-        ) {
-          const nextSegmentZ = farthestRoadZ - roadSegmentLength;
-          createRoadSegment(nextSegmentZ);
-          roadSegments.sort((a, b) => b.position.z - a.position.z);
-        }
-      } else {
-        createRoadSegment(
-          car.position.z - roadSegmentLength * (visibleSegments / 2),
-        );
-        roadSegments.sort((a, b) => b.position.z - a.position.z);
-      }
-      cleanupOldRoadSegments();
-      const currentMinInterval = Math.max(50, 90 - distanceTraveled * 0.01);
-      const currentMaxInterval = Math.max(100, 180 - distanceTraveled * 0.02);
-      const spawnDistanceAhead = 280;
-      const spawnTriggerZ = car.position.z - spawnDistanceAhead;
-      if (distanceTraveled > nextObstacleSpawnDistance) {
-        spawnBuildingObstacle(spawnTriggerZ);
-        const distanceToAdd =
-          currentMinInterval +
-          Math.random() * (currentMaxInterval - currentMinInterval);
-        nextObstacleSpawnDistance += distanceToAdd;
-      }
-      checkCollisionsAndNearMisses(); // Check AFTER updating position
-  
-      // Update Visual Effects
-      updateRain(delta);
-      updateCarTrail();
-  
-      // --- >>> SPEED DISPLAY MODIFICATION <<< ---
-      // Update UI
-      if (speedometerElement) {
-          // Calculate display speed and convert to integer
-          const displaySpeed = Math.floor(speed * SPEED_DISPLAY_MULTIPLIER);
-          speedometerElement.innerText = `SPD: ${displaySpeed} km/h`;
-      }
-      // --- >>> SPEED DISPLAY MODIFICATION END <<< ---
-  
-      if (scoreElement) scoreElement.innerText = `Score: ${score}`;
-  
-    } else {
-      console.warn("Vehicle entity lost in loop!");
-    }
-  
-    // Collision Camera Shake (Still happens on game over)
-    if (collisionShakeTime > 0) {
-      const shakeAmount =
-        COLLISION_SHAKE_INTENSITY *
-        (collisionShakeTime / COLLISION_SHAKE_DURATION);
-      camera.position.x += (Math.random() - 0.5) * shakeAmount;
-      camera.position.y += (Math.random() - 0.5) * shakeAmount;
-      camera.position.z += (Math.random() - 0.5) * shakeAmount;
-      collisionShakeTime -= delta;
-    }
-  
-    // Render
-    composer.render(delta);
+// The stored personal best for this table, or null. Daily Grid ghosts only
+// count on the day (and seed) they were driven.
+function loadGhost(mode, difficulty) {
+  const ghost = loadGhosts()[getGhostKey(mode, difficulty)];
+  if (
+    !ghost ||
+    ghost.version !== GHOST_VERSION ||
+    !Array.isArray(ghost.samples) ||
+    ghost.samples.length < 2
+  )
+    return null;
+  if (mode === "daily" && ghost.dailyKey !== getDailyKey()) return null;
+  return ghost;
+}
+
+function saveGhostIfBest(samples, score, distance) {
+  const ghosts = loadGhosts();
+  const key = getGhostKey(gameMode, gameDifficulty);
+  const best = loadGhost(gameMode, gameDifficulty);
+  if (best && best.score >= score) return;
+  ghosts[key] = {
+    version: GHOST_VERSION,
+    seed: formatSeed(runSeed),
+    dailyKey: gameMode === "daily" ? getDailyKey() : null,
+    score,
+    distance,
+    interval: GHOST_SAMPLE_STEPS * FIXED_TIMESTEP,
+    samples,
+  };
+  try {
+    localStorage.setItem(GHOSTS_KEY, JSON.stringify(ghosts));
+    console.log(`New personal best ghost stored: ${score} pts.`);
+  } catch (e) {
+    console.warn("Ghost storage unavailable:", e);
   }
+}
 
-// --- Event Listeners --- (Unchanged)
-document.addEventListener("DOMContentLoaded", initializeApp);
-document.addEventListener("keydown", (e) => {
-  if (gameOver) return;
-  switch (e.key) {
-    case "ArrowLeft":
-    case "a":
-    case "A":
-      if (lane > -1) lane--;
-      break;
-    case "ArrowRight":
-    case "d":
-    case "D":
-      if (lane < 1) lane++;
-      break;
-    case "ArrowUp":
-    case "w":
-    case "W":
-      targetSpeed = Math.min(targetSpeed + 0.5, maxSpeed);
-      break;
-    case "ArrowDown":
-    case "s":
-    case "S":
-      targetSpeed = Math.max(targetSpeed - 0.5, minSpeed);
-      break;
-    case "Shift":
-      if (boostFuel > 10) isBoosting = true;
-      break;
+function recordGhostSample() {
+  const round = (value) => Math.round(value * 100) / 100;
+  ghostRecording.push(round(sim.state.carX), round(sim.state.carZ));
+}
+
+// Same model as the player's car, redrawn as a hologram
+function createGhostCar(source) {
+  const ghost = source.clone();
+  const ghostMaterial = new THREE.MeshBasicMaterial({
+    color: 0x00ffff,
+    transparent: true,
+    opacity: 0.2,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  const lights = [];
+  ghost.traverse((child) => {
+    if (child.isMesh) child.material = ghostMaterial;
+    if (child.isLight) lights.push(child);
+  });
+  lights.forEach((light) => light.parent.remove(light));
+  return ghost;
+}
+
+// Places the ghost at the given run time and refreshes the gap readout
+function updateGhost(time) {
+  const { samples, interval, distance } = ghostRun;
+  const sampleCount = samples.length / 2;
+  const position = time / interval;
+  const index = Math.floor(position);
+  const ghostFinished = index >= sampleCount - 1;
+  let ghostDistance = distance;
+  if (ghostFinished) {
+    ghostCar.visible = false;
+  } else {
+    const fraction = position - index;
+    const x0 = samples[index * 2];
+    const z0 = samples[index * 2 + 1];
+    const x1 = samples[index * 2 + 2];
+    const z1 = samples[index * 2 + 3];
+    const ghostZ = z0 + (z1 - z0) * fraction;
+    track.place(ghostCar, x0 + (x1 - x0) * fraction, 0.2, ghostZ, Math.PI);
+    ghostCar.visible = true;
+    ghostDistance = CAR_START_Z - ghostZ;
   }
-});
-document.addEventListener("keyup", (e) => {
-  if (gameOver) return;
-  if (e.key === "Shift") isBoosting = false;
-});
-window.addEventListener("resize", () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
+  if (ghostGapElement) {
+    const gap = Math.round(sim.state.distanceTraveled - ghostDistance);
+    ghostGapElement.innerText = `PB: ${gap >= 0 ? "+" : ""}${gap} m`;
+    ghostGapElement.style.color = gap >= 0 ? "#33ff99" : "#ff3366";
+    ghostGapElement.style.display = "block";
+  }
+}
+
+// --- Time Attack ---
+// The sim runs the clock and the checkpoints; this draws the next gate, the
+// timer and the 3-2-1 countdown, and keeps the best split times per
+// difficulty so each run can be compared against them.
+const SPLITS_KEY = "gridline7001.splits";
+const COUNTDOWN_SECONDS = 3;
+const TIME_LOW_WARNING = 5; // Seconds left at which the timer turns red
+let countdownTime = 0; // Seconds left before the run starts moving
+let checkpointGate = null;
+
+function createCheckpointGate() {
+  const gate = new THREE.Group();
+  const halfWidth = (laneWidth * 3) / 2 + 1;
+  const height = 7;
+  const frameMaterial = new THREE.MeshBasicMaterial({ color: 0xffee00 });
+  [-halfWidth, halfWidth].forEach((x) => {
+    const post = new THREE.Mesh(
+      new THREE.BoxGeometry(0.4, height, 0.4),
+      frameMaterial,
+    );
+    post.position.set(x, height / 2, 0);
+    gate.add(post);
+  });
+  const beam = new THREE.Mesh(
+    new THREE.BoxGeometry(halfWidth * 2 + 0.4, 0.4, 0.4),
+    frameMaterial,
+  );
+  beam.position.y = height;
+  gate.add(beam);
+  // Faint curtain across the road so the gate reads from far away
+  const curtain = new THREE.Mesh(
+    new THREE.PlaneGeometry(halfWidth * 2, height),
+    new THREE.MeshBasicMaterial({
+      color: 0xffee00,
+      transparent: true,
+      opacity: 0.08,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    }),
+  );
+  curtain.position.y = height / 2;
+  gate.add(curtain);
+  return gate;
+}
+
+function updateTimeAttack() {
+  const { timeLeft, nextCheckpointDistance, splits } = sim.state;
+  track.place(checkpointGate, 0, 0, CAR_START_Z - nextCheckpointDistance);
+  timeAttackHudElement.innerText = `TIME: ${timeLeft.toFixed(1)}s // CP ${splits.length}`;
+  timeAttackHudElement.classList.toggle("low", timeLeft <= TIME_LOW_WARNING);
+}
+
+function showCountdown(label) {
+  countdownElement.innerText = label;
+  restartAnimation(countdownElement, "tick");
+  if (pickupSynth)
+    pickupSynth.triggerAttackRelease(label === "GO" ? "C6" : "C5", "16n");
+}
+
+function updateCountdown(frameDelta) {
+  const shown = Math.ceil(countdownTime);
+  countdownTime -= frameDelta;
+  if (countdownTime <= 0) showCountdown("GO");
+  else if (Math.ceil(countdownTime) !== shown)
+    showCountdown(Math.ceil(countdownTime));
+}
+
+function onCheckpoint(index, split, bonus) {
+  console.log(
+    `Checkpoint ${index + 1} Cleared at ${formatSplitTime(split)}. +${bonus}s`,
+  );
+  restartAnimation(timeAttackHudElement, "pop");
+  rumbleGamepad(0.3, 0.5, 150);
+  if (pickupSynth) pickupSynth.triggerAttackRelease("G5", "16n");
+
+  // Visual cue (Yellow flash)
+  if (flashOverlay) {
+    const originalColor = flashOverlay.style.backgroundColor;
+    flashOverlay.style.backgroundColor = "rgba(255, 238, 0, 0.4)";
+    flashOverlay.style.opacity = "0.4";
+    setTimeout(() => {
+      flashOverlay.style.opacity = "0";
+      setTimeout(
+        () =>
+          (flashOverlay.style.backgroundColor =
+            originalColor || "rgba(255, 0, 0, 0.7)"),
+        50,
+      );
+    }, 50);
+  }
+}
+
+function formatSplitTime(seconds) {
+  return `${seconds.toFixed(2)}s`;
+}
+
+// One line per checkpoint, with the gap to the best split at that gate
+function formatSplits(splits, bestSplits) {
+  if (splits.length === 0) return "\nNo checkpoints cleared";
+  return splits
+    .map((split, i) => {
+      let line = `\nCP${i + 1}: ${formatSplitTime(split)}`;
+      if (i < bestSplits.length) {
+        const gap = split - bestSplits[i];
+        line += ` (${gap <= 0 ? "-" : "+"}${Math.abs(gap).toFixed(2)})`;
+      }
+      return line;
+    })
+    .join("");
+}
+
+// Further is better; on the same number of gates, reaching the last one
+// sooner is
+function isBetterSplitRun(splits, bestSplits) {
+  if (splits.length !== bestSplits.length)
+    return splits.length > bestSplits.length;
+  const last = splits.length - 1;
+  return last >= 0 && splits[last] < bestSplits[last];
+}
+
+function loadBestSplits(difficulty) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SPLITS_KEY));
+    const splits = saved && saved[difficulty];
+    return Array.isArray(splits) ? splits : [];
+  } catch (e) {
+    console.warn("Best splits corrupted. Starting fresh.", e);
+    return [];
+  }
+}
+
+function saveBestSplits(difficulty, splits) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SPLITS_KEY)) || {};
+    saved[difficulty] = splits;
+    localStorage.setItem(SPLITS_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.warn("Could not save best splits.", e);
+  }
+}
+
+// --- Practice & Tutorial ---
+// Both forgive collisions (the sim deducts points instead of ending the run).
+// The tutorial is scripted in sim.js; here each of its steps shows a prompt
+// with the player's current key bindings.
+const TUTORIAL_KEY = "gridline7001.tutorialDone";
+const TUTORIAL_CONTINUE_DELAY = 2000; // ms on the results before moving on
+let modeAfterTutorial = null; // Picked by a first-time player, run next
+const TUTORIAL_PROMPTS = {
+  lanes: `<span data-binding="left"></span><span data-binding="right"></span> CHANGE LANES TO DODGE THE BUILDING<div class="tutorial-touch">SWIPE <span class="key">←→</span></div>`,
+  accelerate: `<span data-binding="accelerate"></span> SPEED UP<div class="tutorial-touch">SWIPE <span class="key">↑</span></div>`,
+  phase: `HOLD <span data-binding="boost"></span> TO PHASE THROUGH THE WALL<div class="tutorial-touch">HOLD <span class="key">PHASE</span></div>`,
+};
+
+function hasCompletedTutorial() {
+  try {
+    return localStorage.getItem(TUTORIAL_KEY) === "1";
+  } catch (e) {
+    console.warn("Tutorial progress unreadable:", e);
+    return true; // Don't trap the player in the tutorial
+  }
+}
+
+function markTutorialCompleted() {
+  try {
+    localStorage.setItem(TUTORIAL_KEY, "1");
+  } catch (e) {
+    console.warn("Could not save tutorial progress.", e);
+  }
+}
+
+function onTutorialStep(step) {
+  console.log(`Training Sequence: ${step}`);
+  if (step === "done") {
+    if (pickupSynth) pickupSynth.triggerAttackRelease("C6", "8n");
+    endGame("tutorialDone");
+    if (modeAfterTutorial) {
+      const mode = modeAfterTutorial;
+      modeAfterTutorial = null;
+      messageElement.innerText += "\nEntering the Grid...";
+      setTimeout(() => {
+        if (!isRunActive) startGame(mode); // Unless another run started
+      }, TUTORIAL_CONTINUE_DELAY);
+    }
+    return;
+  }
+  tutorialPromptElement.innerHTML = TUTORIAL_PROMPTS[step];
+  renderKeyBindingLabels();
+  tutorialPromptElement.style.display = "block";
+  restartAnimation(tutorialPromptElement, "pop");
+}
+
+function onPracticeHit(penalty) {
+  console.log(`Impact Logged! -${penalty} points`);
+  if (crashSound) crashSound.triggerAttackRelease(0.15, undefined, 0.5);
+  rumbleGamepad(0.8, 0.6, 250);
+  collisionShakeTime = COLLISION_SHAKE_DURATION / 2;
+  if (flashOverlay) {
+    flashOverlay.style.opacity = "0.5";
+    setTimeout(() => {
+      flashOverlay.style.opacity = "0";
+    }, 100);
+  }
+}
+
+// --- Difficulty ---
+// The menu picks one of the presets from sim.js, or a custom tuning loaded
+// from a JSON file for experiments. Only the fields a custom file sets are
+// changed from Normal; custom runs still replay but are never ranked.
+const DIFFICULTY_KEY = "gridline7001.difficulty";
+const CUSTOM_DIFFICULTY = "custom";
+let difficultySettings = loadDifficultySettings(); // { difficulty, customTuning }
+
+function loadDifficultySettings() {
+  const settings = { difficulty: DEFAULT_DIFFICULTY, customTuning: null };
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(DIFFICULTY_KEY));
+  } catch (e) {
+    console.warn("Difficulty storage unreadable:", e);
+  }
+  if (!stored) return settings;
+  // A tuning saved before its checks got stricter is dropped on its own, so
+  // it doesn't take the stored preset down with it
+  if (stored.customTuning) {
+    try {
+      settings.customTuning = resolveTuning(stored.customTuning);
+    } catch (e) {
+      console.warn("Stored custom tuning discarded:", e);
+    }
+  }
+  if (
+    Object.hasOwn(DIFFICULTY_PRESETS, stored.difficulty) ||
+    (stored.difficulty === CUSTOM_DIFFICULTY && settings.customTuning)
+  )
+    settings.difficulty = stored.difficulty;
+  return settings;
+}
+
+function saveDifficultySettings() {
+  try {
+    localStorage.setItem(DIFFICULTY_KEY, JSON.stringify(difficultySettings));
+  } catch (e) {
+    console.warn("Difficulty storage unavailable:", e);
+  }
+}
+
+function getSelectedTuning() {
+  const { difficulty, customTuning } = difficultySettings;
+  return difficulty === CUSTOM_DIFFICULTY
+    ? customTuning
+    : DIFFICULTY_PRESETS[difficulty];
+}
+
+function setDifficulty(difficulty) {
+  difficultySettings.difficulty = difficulty;
+  saveDifficultySettings();
+  renderDifficultyTabs();
+  console.log(`Grid Difficulty: ${difficulty}`);
+}
+
+function renderDifficultyTabs() {
+  difficultyTabsElement.innerHTML = "";
+  const tabs = LEADERBOARD_DIFFICULTIES.slice();
+  if (difficultySettings.customTuning)
+    tabs.push({ id: CUSTOM_DIFFICULTY, label: "Custom" });
+  tabs.forEach(({ id, label }) => {
+    const button = document.createElement("button");
+    button.className = "secondary-btn tab-btn";
+    if (difficultySettings.difficulty === id) button.classList.add("active");
+    button.textContent = label;
+    button.addEventListener("click", () => setDifficulty(id));
+    difficultyTabsElement.appendChild(button);
+  });
+  const loadButton = document.createElement("button");
+  loadButton.className = "secondary-btn tab-btn";
+  loadButton.textContent = "Load Tuning";
+  loadButton.addEventListener("click", () => tuningFileInputElement.click());
+  difficultyTabsElement.appendChild(loadButton);
+}
+
+function loadTuningFile(file) {
+  file
+    .text()
+    .then((text) => {
+      difficultySettings.customTuning = resolveTuning(JSON.parse(text));
+      console.log("Custom tuning loaded:", difficultySettings.customTuning);
+      setDifficulty(CUSTOM_DIFFICULTY);
+      if (messageElement)
+        messageElement.innerText = `Custom Tuning Loaded.\nRuns on it are not ranked.`;
+    })
+    .catch((e) => {
+      console.error("Tuning load failed:", e);
+      if (messageElement)
+        messageElement.innerText = `Tuning Rejected!\n${e.message}`;
+    });
+}
+
+// --- High Scores ---
+// One top-N table per mode and difficulty (Daily Grid tables are per day),
+// kept in localStorage as a single flat list of entries.
+const HIGH_SCORES_KEY = "gridline7001.highScores";
+const INITIALS_KEY = "gridline7001.initials";
+const HIGH_SCORE_TABLE_SIZE = 10;
+const INITIALS_CHARSET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+const LEADERBOARD_MODES = [
+  { id: "endless", label: "Endless" },
+  { id: "daily", label: "Daily Grid" },
+  { id: "timeattack", label: "Time Attack" },
+];
+const LEADERBOARD_DIFFICULTIES = [
+  { id: "easy", label: "Easy" },
+  { id: "normal", label: "Normal" },
+  { id: "hard", label: "Hard" },
+  { id: "insane", label: "Insane" },
+];
+let leaderboardTab = { mode: "endless", difficulty: DEFAULT_DIFFICULTY };
+let initialsEntry = null; // { letters, slot, entry } while typing initials
+
+// Practice and the tutorial forgive crashes and custom tunings are for
+// experiments, so none of them get a table or ghost
+function isRankedRun(mode, difficulty) {
+  return (
+    LEADERBOARD_MODES.some(({ id }) => id === mode) &&
+    LEADERBOARD_DIFFICULTIES.some(({ id }) => id === difficulty)
+  );
+}
+
+function loadHighScores() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(HIGH_SCORES_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch (e) {
+    console.warn("High score storage unreadable:", e);
+    return [];
+  }
+}
+
+function saveHighScores(entries) {
+  try {
+    localStorage.setItem(HIGH_SCORES_KEY, JSON.stringify(entries));
+  } catch (e) {
+    console.warn("High score storage unavailable:", e);
+  }
+}
+
+function isSameHighScoreTable(entry, mode, difficulty) {
+  if (entry.mode !== mode || entry.difficulty !== difficulty) return false;
+  // Daily Grid only ranks runs on today's course
+  return mode !== "daily" || entry.seed === formatSeed(getDailySeed());
+}
+
+function getHighScoreTable(entries, mode, difficulty) {
+  return entries
+    .filter((entry) => isSameHighScoreTable(entry, mode, difficulty))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, HIGH_SCORE_TABLE_SIZE);
+}
+
+function qualifiesForHighScore(entry) {
+  if (entry.score <= 0) return false;
+  const table = getHighScoreTable(
+    loadHighScores(),
+    entry.mode,
+    entry.difficulty,
+  );
+  return (
+    table.length < HIGH_SCORE_TABLE_SIZE ||
+    entry.score > table[table.length - 1].score
+  );
+}
+
+function addHighScore(entry) {
+  const entries = loadHighScores();
+  entries.push(entry);
+  // Drop whatever fell off the bottom of this entry's table
+  const table = getHighScoreTable(entries, entry.mode, entry.difficulty);
+  const kept = entries.filter(
+    (e) =>
+      !isSameHighScoreTable(e, entry.mode, entry.difficulty) ||
+      table.includes(e),
+  );
+  saveHighScores(kept);
+}
+
+function openLeaderboard(mode, difficulty, highlightDate = null) {
+  if (!leaderboardPopupElement) return;
+  // Unranked runs (Practice, custom tunings) open on the nearest table
+  const isListed = (tabs, id) => tabs.some((tab) => tab.id === id);
+  leaderboardTab = {
+    mode: isListed(LEADERBOARD_MODES, mode) ? mode : "endless",
+    difficulty: isListed(LEADERBOARD_DIFFICULTIES, difficulty)
+      ? difficulty
+      : DEFAULT_DIFFICULTY,
+  };
+  renderLeaderboard(highlightDate);
+  leaderboardPopupElement.style.display = "block";
+}
+
+function renderLeaderboard(highlightDate = null) {
+  const renderTabs = (container, tabs, key) => {
+    container.innerHTML = "";
+    tabs.forEach((tab) => {
+      const button = document.createElement("button");
+      button.className = "secondary-btn tab-btn";
+      if (leaderboardTab[key] === tab.id) button.classList.add("active");
+      button.textContent = tab.label;
+      button.addEventListener("click", () => {
+        leaderboardTab[key] = tab.id;
+        renderLeaderboard();
+      });
+      container.appendChild(button);
+    });
+  };
+  renderTabs(leaderboardModeTabsElement, LEADERBOARD_MODES, "mode");
+  renderTabs(
+    leaderboardDifficultyTabsElement,
+    LEADERBOARD_DIFFICULTIES,
+    "difficulty",
+  );
+
+  const table = getHighScoreTable(
+    loadHighScores(),
+    leaderboardTab.mode,
+    leaderboardTab.difficulty,
+  );
+  leaderboardBodyElement.innerHTML = "";
+  if (table.length === 0) {
+    const row = leaderboardBodyElement.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 8;
+    cell.textContent = "NO RECORDS ON THIS GRID";
+    return;
+  }
+  table.forEach((entry, index) => {
+    const row = leaderboardBodyElement.insertRow();
+    if (entry.date === highlightDate) row.classList.add("highlight");
+    [
+      index + 1,
+      entry.initials,
+      entry.score,
+      `${entry.distance}m`,
+      entry.maxSpeed,
+      entry.nearMisses,
+      entry.date.slice(0, 10),
+      entry.seed,
+    ].forEach((value) => {
+      row.insertCell().textContent = value;
+    });
+  });
+}
+
+function startInitialsEntry(entry) {
+  let lastInitials = "AAA";
+  try {
+    lastInitials = localStorage.getItem(INITIALS_KEY) || lastInitials;
+  } catch (e) {
+    // Storage unavailable; fall back to the default
+  }
+  initialsEntry = { letters: lastInitials.split(""), slot: 0, entry };
+  const table = getHighScoreTable(
+    loadHighScores(),
+    entry.mode,
+    entry.difficulty,
+  );
+  const rank = table.filter((e) => e.score >= entry.score).length + 1;
+  initialsRankElement.innerText = `RANK #${rank} // SCORE ${entry.score}`;
+  updateInitialsDisplay();
+  initialsEntryElement.style.display = "flex";
+}
+
+function updateInitialsDisplay() {
+  const slots = initialsEntryElement.querySelectorAll(".initials-slot");
+  slots.forEach((slot, index) => {
+    slot.querySelector(".initials-letter").textContent =
+      initialsEntry.letters[index];
+    slot.classList.toggle("active", index === initialsEntry.slot);
+  });
+}
+
+function cycleInitial(slot, direction) {
+  const current = INITIALS_CHARSET.indexOf(initialsEntry.letters[slot]);
+  const next =
+    (current + direction + INITIALS_CHARSET.length) % INITIALS_CHARSET.length;
+  initialsEntry.letters[slot] = INITIALS_CHARSET[next];
+  initialsEntry.slot = slot;
+  updateInitialsDisplay();
+}
+
+function handleInitialsKey(e) {
+  const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const lastSlot = initialsEntry.letters.length - 1;
+  if (key === "Enter") {
+    e.preventDefault();
+    confirmInitials();
+    return;
+  }
+  if (key === "ArrowUp") cycleInitial(initialsEntry.slot, 1);
+  else if (key === "ArrowDown") cycleInitial(initialsEntry.slot, -1);
+  else if (key === "ArrowLeft" || key === "Backspace")
+    initialsEntry.slot = Math.max(0, initialsEntry.slot - 1);
+  else if (key === "ArrowRight")
+    initialsEntry.slot = Math.min(lastSlot, initialsEntry.slot + 1);
+  else if (INITIALS_CHARSET.includes(key)) {
+    initialsEntry.letters[initialsEntry.slot] = key;
+    initialsEntry.slot = Math.min(lastSlot, initialsEntry.slot + 1);
+  } else return;
+  e.preventDefault();
+  updateInitialsDisplay();
+}
+
+function confirmInitials(showLeaderboard = true) {
+  if (!initialsEntry) return;
+  const { entry, letters } = initialsEntry;
+  entry.initials = letters.join("");
+  initialsEntry = null;
+  initialsEntryElement.style.display = "none";
+  try {
+    localStorage.setItem(INITIALS_KEY, entry.initials);
+  } catch (e) {
+    // Not remembering initials is fine
+  }
+  addHighScore(entry);
+  console.log(`High score logged: ${entry.initials} ${entry.score}`);
+  if (showLeaderboard)
+    openLeaderboard(entry.mode, entry.difficulty, entry.date);
+}
+
+// --- Input ---
+// Inputs are queued and handed to the simulation on its next step; the
+// simulation reports which ones changed state so only those get recorded.
+// Returns false if the input was ignored (no run, paused or a replay)
+function handlePlayerInput(action, value) {
+  if (gameOver || isPaused || replayPlayback) return false;
+  pendingInputs.push(value === undefined ? action : { action, value });
+  return true;
+}
+
+// --- Key Bindings ---
+// Each action has up to two keys, stored in localStorage. Keys are compared
+// in normalized form (single characters lowercased) so Caps Lock/Shift don't
+// matter. Escape always pauses; P pauses too unless it's bound to an action.
+const KEY_BINDINGS_KEY = "gridline7001.keyBindings";
+const KEYS_PER_ACTION = 2;
+const BINDABLE_ACTIONS = [
+  { id: "left", label: "Left Lane" },
+  { id: "right", label: "Right Lane" },
+  { id: "accelerate", label: "Accelerate" },
+  { id: "decelerate", label: "Decelerate" },
+  { id: "boost", label: "Boost / Phase" },
+];
+const DEFAULT_KEY_BINDINGS = {
+  left: ["ArrowLeft", "a"],
+  right: ["ArrowRight", "d"],
+  accelerate: ["ArrowUp", "w"],
+  decelerate: ["ArrowDown", "s"],
+  boost: ["Shift"],
+};
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Escape: "ESC",
+  Space: "SPACE",
+};
+let keyBindings = loadKeyBindings();
+let rebinding = null; // { action, slot } while waiting for a key press
+
+function normalizeKey(key) {
+  if (key === " ") return "Space";
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function formatKeyLabel(key) {
+  return KEY_LABELS[key] || key.toUpperCase();
+}
+
+function loadKeyBindings() {
+  const bindings = {};
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY));
+  } catch (e) {
+    console.warn("Key binding storage unreadable:", e);
+  }
+  BINDABLE_ACTIONS.forEach(({ id }) => {
+    const keys = stored && stored[id];
+    bindings[id] =
+      Array.isArray(keys) && keys.every((key) => typeof key === "string")
+        ? keys.slice(0, KEYS_PER_ACTION)
+        : DEFAULT_KEY_BINDINGS[id].slice();
+  });
+  return bindings;
+}
+
+function saveKeyBindings() {
+  try {
+    localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(keyBindings));
+  } catch (e) {
+    console.warn("Key binding storage unavailable:", e);
+  }
+}
+
+function getActionForKey(key) {
+  const match = BINDABLE_ACTIONS.find(({ id }) =>
+    keyBindings[id].includes(key),
+  );
+  return match ? match.id : null;
+}
+
+function getPauseKeys() {
+  return ["Escape", "p"].filter((key) => !getActionForKey(key));
+}
+
+function bindKey(action, slot, key) {
+  const keys = keyBindings[action];
+  const index = Math.min(slot, keys.length);
+  const replaced = keys[index]; // Undefined when filling an empty slot
+  // A key can only drive one action, so it trades places with the key it
+  // replaces. Taking another action's only key without a swap would leave it
+  // unplayable, so that is refused.
+  const owner = BINDABLE_ACTIONS.find(({ id }) =>
+    keyBindings[id].includes(key),
+  );
+  if (owner?.id === action && replaced === undefined) {
+    // Already bound here, and slots fill in order, so nothing moves
+    renderKeyBindingSettings();
+    return;
+  }
+  if (owner) {
+    const ownerKeys = keyBindings[owner.id];
+    const at = ownerKeys.indexOf(key);
+    if (replaced !== undefined) ownerKeys[at] = replaced;
+    else if (ownerKeys.length > 1) ownerKeys.splice(at, 1);
+    else {
+      console.warn(`"${key}" is the only key for ${owner.id}; not moved.`);
+      renderKeyBindingSettings();
+      return;
+    }
+  }
+  keys.splice(index, 1, key);
+  saveKeyBindings();
+  renderKeyBindingLabels();
+  renderKeyBindingSettings();
+}
+
+function handleRebindKey(e) {
+  e.preventDefault();
+  const key = normalizeKey(e.key);
+  const { action, slot } = rebinding;
+  rebinding = null;
+  // Escape cancels and stays reserved for pausing
+  if (key === "Escape") renderKeyBindingSettings();
+  else bindKey(action, slot, key);
+}
+
+// Fills every [data-binding] element (intro screen, How to Play) with the
+// current keys for that action
+function renderKeyBindingLabels() {
+  document.querySelectorAll("[data-binding]").forEach((element) => {
+    const action = element.dataset.binding;
+    const keys = action === "pause" ? getPauseKeys() : keyBindings[action];
+    if (!keys) return;
+    element.innerHTML = "";
+    keys.forEach((key) => {
+      const label = document.createElement("span");
+      label.className = "key";
+      label.textContent = formatKeyLabel(key);
+      element.appendChild(label);
+    });
+  });
+}
+
+function renderKeyBindingSettings() {
+  if (!keyBindingListElement) return;
+  keyBindingListElement.innerHTML = "";
+  BINDABLE_ACTIONS.forEach(({ id, label }) => {
+    const row = document.createElement("div");
+    row.className = "settings-row";
+    const name = document.createElement("span");
+    name.textContent = label;
+    row.appendChild(name);
+    for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+      const button = document.createElement("button");
+      button.className = "secondary-btn binding-btn";
+      const key = keyBindings[id][slot];
+      const isWaiting =
+        rebinding && rebinding.action === id && rebinding.slot === slot;
+      if (isWaiting) {
+        button.textContent = "PRESS KEY";
+        button.classList.add("waiting");
+      } else {
+        button.textContent = key ? formatKeyLabel(key) : "--";
+      }
+      button.addEventListener("click", () => {
+        rebinding = { action: id, slot };
+        renderKeyBindingSettings();
+      });
+      row.appendChild(button);
+    }
+    keyBindingListElement.appendChild(row);
+  });
+}
+
+function resetKeyBindings() {
+  rebinding = null;
+  keyBindings = {};
+  BINDABLE_ACTIONS.forEach(({ id }) => {
+    keyBindings[id] = DEFAULT_KEY_BINDINGS[id].slice();
+  });
+  saveKeyBindings();
+  renderKeyBindingLabels();
+  renderKeyBindingSettings();
+}
+
+function closeSettings() {
+  rebinding = null;
+  if (settingsPopupElement) settingsPopupElement.style.display = "none";
+}
+
+// --- Graphics Quality ---
+// Presets scale the costliest effects: rain is a share of each sector's rain,
+// bloom renders at a fraction of the screen resolution with its strength
+// scaled, and pixel ratio is capped at the device's own. In auto mode the
+// preset steps down while frames run slow and back up once there's headroom.
+const QUALITY_KEY = "gridline7001.quality";
+const QUALITY_PRESETS = [
+  {
+    id: "low",
+    label: "Low",
+    rain: 0.15,
+    bloomResolution: 0.25,
+    bloomStrength: 0.7,
+    antialias: false,
+    pixelRatio: 0.75,
+    spotlights: false,
+    trailLength: 6,
+  },
+  {
+    id: "medium",
+    label: "Medium",
+    rain: 0.4,
+    bloomResolution: 0.5,
+    bloomStrength: 0.85,
+    antialias: false,
+    pixelRatio: 1,
+    spotlights: true,
+    trailLength: 10,
+  },
+  {
+    id: "high",
+    label: "High",
+    rain: 0.7,
+    bloomResolution: 0.5,
+    bloomStrength: 1,
+    antialias: true,
+    pixelRatio: 1.5,
+    spotlights: true,
+    trailLength: 15,
+  },
+  {
+    id: "ultra",
+    label: "Ultra",
+    rain: 1,
+    bloomResolution: 1,
+    bloomStrength: 1,
+    antialias: true,
+    pixelRatio: 2,
+    spotlights: true,
+    trailLength: TRAIL_LENGTH,
+  },
+];
+const DEFAULT_QUALITY = "high";
+const AUTO_QUALITY_SLOW_FRAME = 1 / 45; // Average frame time that steps down
+const AUTO_QUALITY_FAST_FRAME = 1 / 58; // Average frame time that steps up
+const AUTO_QUALITY_DOWN_HOLD = 2; // Seconds of slow frames before stepping down
+const AUTO_QUALITY_UP_HOLD = 10; // Seconds of fast frames before stepping up
+let qualitySettings = loadQualitySettings(); // { preset, auto }
+let qualityTabsElement = null;
+let qualityAutoElement = null;
+// Auto mode state: smoothed frame time, how long it's been past a threshold,
+// and the step-up wait, which doubles after each step down so a preset that
+// can't hold its frame rate isn't retried over and over
+let frameTimeAverage = 1 / 60;
+let autoQualityTimer = 0;
+let autoQualityUpHold = AUTO_QUALITY_UP_HOLD;
+
+function loadQualitySettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(QUALITY_KEY));
+  } catch (e) {
+    console.warn("Quality storage unreadable:", e);
+  }
+  const isKnown =
+    stored && QUALITY_PRESETS.some(({ id }) => id === stored.preset);
+  return {
+    preset: isKnown ? stored.preset : DEFAULT_QUALITY,
+    auto: !!(stored && stored.auto),
+  };
+}
+
+function saveQualitySettings() {
+  try {
+    localStorage.setItem(QUALITY_KEY, JSON.stringify(qualitySettings));
+  } catch (e) {
+    console.warn("Quality storage unavailable:", e);
+  }
+}
+
+function getQualityPreset() {
+  return QUALITY_PRESETS.find(({ id }) => id === qualitySettings.preset);
+}
+
+function resizeRenderer() {
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  camera.aspect = width / height;
   camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  composer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setSize(width, height);
+  composer.setSize(width, height);
+  // The composer sizes every pass to the full buffer; bloom is then shrunk
+  const pixelRatio = renderer.getPixelRatio();
+  const { bloomResolution } = getQualityPreset();
+  bloomPass.setSize(
+    Math.max(1, Math.round(width * pixelRatio * bloomResolution)),
+    Math.max(1, Math.round(height * pixelRatio * bloomResolution)),
+  );
+  fxaaPass.material.uniforms.resolution.value.set(
+    1 / (width * pixelRatio),
+    1 / (height * pixelRatio),
+  );
+}
+
+function applyQuality() {
+  const preset = getQualityPreset();
+  const pixelRatio = Math.min(window.devicePixelRatio || 1, preset.pixelRatio);
+  renderer.setPixelRatio(pixelRatio);
+  composer.setPixelRatio(pixelRatio);
+  resizeRenderer();
+  fxaaPass.enabled = preset.antialias;
+  headlights.forEach((light) => {
+    light.visible = preset.spotlights;
+  });
+  // Rain count and bloom strength follow in updateSectorAtmosphere
+  setTrailLength(preset.trailLength);
+  console.log(`Render Profile: ${preset.label}.`);
+}
+
+function setQualityPreset(id) {
+  if (id === qualitySettings.preset) return;
+  qualitySettings.preset = id;
+  saveQualitySettings();
+  applyQuality();
+  renderQualitySettings();
+}
+
+function resetAutoQuality() {
+  autoQualityTimer = 0;
+  autoQualityUpHold = AUTO_QUALITY_UP_HOLD;
+}
+
+// Called once per rendered frame with the frame's duration
+function updateAutoQuality(frameTime) {
+  if (!qualitySettings.auto) return;
+  frameTimeAverage += (frameTime - frameTimeAverage) * 0.05;
+  const index = QUALITY_PRESETS.indexOf(getQualityPreset());
+  let step = 0;
+  if (frameTimeAverage > AUTO_QUALITY_SLOW_FRAME && index > 0) {
+    autoQualityTimer += frameTime;
+    if (autoQualityTimer > AUTO_QUALITY_DOWN_HOLD) step = -1;
+  } else if (
+    frameTimeAverage < AUTO_QUALITY_FAST_FRAME &&
+    index < QUALITY_PRESETS.length - 1
+  ) {
+    autoQualityTimer += frameTime;
+    if (autoQualityTimer > autoQualityUpHold) step = 1;
+  } else {
+    autoQualityTimer = 0;
+  }
+  if (step === 0) return;
+  if (step < 0) autoQualityUpHold *= 2;
+  autoQualityTimer = 0;
+  frameTimeAverage = 1 / 60; // The switch itself stalls a frame or two
+  setQualityPreset(QUALITY_PRESETS[index + step].id);
+}
+
+function renderQualitySettings() {
+  if (!qualityTabsElement) return;
+  qualityTabsElement.innerHTML = "";
+  QUALITY_PRESETS.forEach(({ id, label }) => {
+    const button = document.createElement("button");
+    button.className = "secondary-btn tab-btn";
+    if (qualitySettings.preset === id) button.classList.add("active");
+    button.textContent = label;
+    button.addEventListener("click", () => setQualityPreset(id));
+    qualityTabsElement.appendChild(button);
+  });
+  qualityAutoElement.checked = qualitySettings.auto;
+}
+
+// --- Offline Play & Updates ---
+// sw.js precaches the game so it installs as an app and runs offline. Code
+// changes load on the next launch; a new worker (for changed libraries or
+// assets) installs in the background and waits, and the menu then offers a
+// restart, which activates it and reloads into the new version.
+let isApplyingUpdate = false;
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker
+    .register("sw.js")
+    .then((registration) => {
+      // Installed on an earlier launch but never activated
+      if (registration.waiting && navigator.serviceWorker.controller)
+        showUpdateNotice(registration.waiting);
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+          // Without a controller this is the first install, not an update
+          if (
+            worker.state === "installed" &&
+            navigator.serviceWorker.controller
+          )
+            showUpdateNotice(worker);
+        });
+      });
+    })
+    .catch((e) => console.warn("Offline cache unavailable:", e));
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!isApplyingUpdate) return;
+    isApplyingUpdate = false;
+    window.location.reload();
+  });
+}
+
+function showUpdateNotice(worker) {
+  console.log("New Grid build available.");
+  updateNoticeElement.style.display = "flex";
+  updateNoticeElement.querySelector("button").onclick = () => {
+    isApplyingUpdate = true;
+    worker.postMessage("skipWaiting");
+  };
+}
+
+// --- Touch / Pointer Controls ---
+// Swipes on the canvas change lanes (left/right) and speed (up/down); the
+// PHASE button is held like Shift. Pointer events, so a mouse drag works too.
+const SWIPE_MIN_DISTANCE = 40; // Pixels of drag before it counts as a swipe
+let swipeStart = null; // { id, x, y } of the pointer being tracked
+let touchControlsEnabled = window.matchMedia("(pointer: coarse)").matches;
+
+function setupTouchControls() {
+  const canvas = renderer.domElement;
+  canvas.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "touch" && !touchControlsEnabled) {
+      touchControlsEnabled = true;
+      updateTouchControlsVisibility();
+    }
+    canvas.setPointerCapture(e.pointerId);
+    swipeStart = { id: e.pointerId, x: e.clientX, y: e.clientY };
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    if (!swipeStart || swipeStart.id !== e.pointerId) return;
+    const dx = e.clientX - swipeStart.x;
+    const dy = e.clientY - swipeStart.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_MIN_DISTANCE) return;
+    if (Math.abs(dx) > Math.abs(dy))
+      handlePlayerInput(dx < 0 ? "left" : "right");
+    else handlePlayerInput(dy < 0 ? "accelerate" : "decelerate");
+    // Re-anchor so one long drag can cross two lanes
+    swipeStart.x = e.clientX;
+    swipeStart.y = e.clientY;
+  });
+  const endSwipe = (e) => {
+    if (swipeStart && swipeStart.id === e.pointerId) swipeStart = null;
+  };
+  canvas.addEventListener("pointerup", endSwipe);
+  canvas.addEventListener("pointercancel", endSwipe);
+
+  touchBoostBtnElement.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    touchBoostBtnElement.setPointerCapture(e.pointerId);
+    touchBoostBtnElement.classList.add("active");
+    boostHeldBy.add("touch");
+    handlePlayerInput("boostStart");
+  });
+  ["pointerup", "pointercancel", "lostpointercapture"].forEach((type) =>
+    touchBoostBtnElement.addEventListener(type, () => {
+      if (!boostHeldBy.has("touch")) return;
+      touchBoostBtnElement.classList.remove("active");
+      boostHeldBy.delete("touch");
+      handlePlayerInput("boostEnd");
+    }),
+  );
+  touchPauseBtnElement.addEventListener("click", pauseGame);
+}
+
+function releaseHeldBoost() {
+  boostHeldBy.clear();
+  if (touchBoostBtnElement) touchBoostBtnElement.classList.remove("active");
+}
+
+function updateTouchControlsVisibility() {
+  if (!touchControlsElement) return;
+  const visible = touchControlsEnabled && isRunActive && !replayPlayback;
+  touchControlsElement.style.display = visible ? "block" : "none";
+}
+
+// --- Gamepad ---
+// Standard-mapping controllers, polled once per frame from animate().
+// D-pad/left stick steer, RT/LT are an analog throttle/brake on targetSpeed,
+// either shoulder button holds boost/phase and Start pauses.
+const GAMEPAD_BUTTON = {
+  leftShoulder: 4,
+  rightShoulder: 5,
+  leftTrigger: 6,
+  rightTrigger: 7,
+  start: 9,
+  dpadUp: 12,
+  dpadDown: 13,
+  dpadLeft: 14,
+  dpadRight: 15,
+};
+const GAMEPAD_STICK_THRESHOLD = 0.5; // Stick deflection that changes lane
+const GAMEPAD_STICK_RELEASE = 0.3; // Stick must return inside this to re-arm
+const GAMEPAD_THROTTLE_STEPS = 20; // Quantize triggers so noise isn't recorded
+let activeGamepadIndex = null;
+let previousGamepadButtons = [];
+let gamepadStickCentered = true;
+let gamepadThrottle = 0; // Throttle value last sent to the simulation
+
+function getActiveGamepad() {
+  if (activeGamepadIndex === null || !navigator.getGamepads) return null;
+  return navigator.getGamepads()[activeGamepadIndex] || null;
+}
+
+function readGamepadButtons(gamepad) {
+  const pressed = gamepad.buttons.map((button) => button.pressed);
+  const justPressed = (index) =>
+    pressed[index] && !previousGamepadButtons[index];
+  previousGamepadButtons = pressed;
+  return { pressed, justPressed };
+}
+
+function pollGamepad() {
+  const gamepad = getActiveGamepad();
+  if (!gamepad) return;
+  const { pressed, justPressed } = readGamepadButtons(gamepad);
+
+  if (justPressed(GAMEPAD_BUTTON.start)) {
+    pauseGame();
+    return;
+  }
+
+  // Lanes: D-pad, or a flick of the left stick
+  if (justPressed(GAMEPAD_BUTTON.dpadLeft)) handlePlayerInput("left");
+  if (justPressed(GAMEPAD_BUTTON.dpadRight)) handlePlayerInput("right");
+  const stickX = gamepad.axes[0] || 0;
+  if (gamepadStickCentered && Math.abs(stickX) > GAMEPAD_STICK_THRESHOLD) {
+    handlePlayerInput(stickX < 0 ? "left" : "right");
+    gamepadStickCentered = false;
+  } else if (Math.abs(stickX) < GAMEPAD_STICK_RELEASE) {
+    gamepadStickCentered = true;
+  }
+
+  // Speed: D-pad steps like W/S, triggers as analog throttle/brake
+  if (justPressed(GAMEPAD_BUTTON.dpadUp)) handlePlayerInput("accelerate");
+  if (justPressed(GAMEPAD_BUTTON.dpadDown)) handlePlayerInput("decelerate");
+  const triggerValue = (index) =>
+    gamepad.buttons[index] ? gamepad.buttons[index].value : 0;
+  const throttle =
+    Math.round(
+      (triggerValue(GAMEPAD_BUTTON.rightTrigger) -
+        triggerValue(GAMEPAD_BUTTON.leftTrigger)) *
+        GAMEPAD_THROTTLE_STEPS,
+    ) / GAMEPAD_THROTTLE_STEPS;
+  if (throttle !== gamepadThrottle && handlePlayerInput("throttle", throttle))
+    gamepadThrottle = throttle;
+
+  // Boost/phase while either shoulder button is held
+  const boostHeld =
+    pressed[GAMEPAD_BUTTON.leftShoulder] ||
+    pressed[GAMEPAD_BUTTON.rightShoulder];
+  if (boostHeld && !boostHeldBy.has("gamepad")) {
+    boostHeldBy.add("gamepad");
+    handlePlayerInput("boostStart");
+  } else if (!boostHeld && boostHeldBy.has("gamepad")) {
+    boostHeldBy.delete("gamepad");
+    handlePlayerInput("boostEnd");
+  }
+}
+
+// animate() is stopped while paused, so watch for Start separately
+function pollGamepadWhilePaused() {
+  if (!isPaused) return;
+  const gamepad = getActiveGamepad();
+  if (
+    gamepad &&
+    readGamepadButtons(gamepad).justPressed(GAMEPAD_BUTTON.start)
+  ) {
+    resumeGame();
+    return;
+  }
+  requestAnimationFrame(pollGamepadWhilePaused);
+}
+
+function rumbleGamepad(strongMagnitude, weakMagnitude, duration) {
+  const gamepad = getActiveGamepad();
+  const actuator = gamepad && gamepad.vibrationActuator;
+  if (!actuator || !actuator.playEffect) return;
+  actuator
+    .playEffect("dual-rumble", {
+      startDelay: 0,
+      duration,
+      strongMagnitude,
+      weakMagnitude,
+    })
+    .catch(() => {}); // Haptics are best-effort
+}
+
+// --- Simulation Events ---
+function handleSimEvents(events, step, time) {
+  events.forEach((event) => {
+    switch (event.type) {
+      case "input":
+        recordInput(event.action, event.value, step, time);
+        break;
+      case "obstacleSpawned":
+        createObstacleMesh(event.obstacle);
+        break;
+      case "obstacleRemoved": {
+        const visual = obstacleMeshes.get(event.obstacle.id);
+        if (visual) removeObstacleMesh(visual);
+        obstacleMeshes.delete(event.obstacle.id);
+        break;
+      }
+      case "nearMiss":
+        onNearMiss(event.combo);
+        break;
+      case "comboBroken":
+        onComboBroken(event.reason);
+        break;
+      case "pickupSpawned":
+        createPickupMesh(event.pickup);
+        break;
+      case "pickupCollected":
+        removePickupMesh(event.pickup);
+        onPickupCollected(event.pickup.kind);
+        break;
+      case "pickupRemoved":
+        removePickupMesh(event.pickup);
+        break;
+      case "hit":
+        onPracticeHit(event.penalty);
+        break;
+      case "tutorialStep":
+        onTutorialStep(event.step);
+        break;
+      case "shieldHit":
+        onShieldHit();
+        break;
+      case "sectorEntered":
+        onSectorEntered(event.number, event.biome);
+        break;
+      case "checkpoint":
+        onCheckpoint(event.index, event.split, event.bonus);
+        break;
+      case "crash":
+        console.log("Collision Alert! Dropping Connection...");
+        endGame();
+        break;
+      case "timeUp":
+        console.log("Clock Expired! Dropping Connection...");
+        endGame("timeUp");
+        break;
+    }
+  });
+}
+
+function onNearMiss(combo) {
+  console.log(`Near Miss! Chain ${combo}`);
+  restartAnimation(comboCounterElement, "pop");
+  rumbleGamepad(0.2, 0.7, 120);
+
+  // Visual cue (Cyan flash)
+  if (flashOverlay) {
+    const originalColor = flashOverlay.style.backgroundColor;
+    flashOverlay.style.backgroundColor = "rgba(0, 255, 255, 0.5)";
+    flashOverlay.style.opacity = "0.5";
+    setTimeout(() => {
+      flashOverlay.style.opacity = "0";
+      setTimeout(
+        () =>
+          (flashOverlay.style.backgroundColor =
+            originalColor || "rgba(255, 0, 0, 0.7)"),
+        50,
+      );
+    }, 50);
+  }
+
+  // Each link in the chain plays a little higher
+  if (nearMissSound && nearMissSound.loaded) {
+    if (nearMissSound.state !== "started") {
+      nearMissSound.playbackRate = Math.min(2, 1 + (combo - 1) * 0.08);
+      nearMissSound.start();
+    }
+  } else if (nearMissBlip) {
+    const note = Tone.Frequency("E5").transpose(Math.min(combo - 1, 12));
+    nearMissBlip.triggerAttackRelease(note.toNote(), "16n");
+  }
+  if (soundtrack) soundtrack.playStinger(combo);
+}
+
+function onComboBroken(reason) {
+  console.log(`Chain broken (${reason}).`);
+  restartAnimation(comboCounterElement, "broken");
+  if (pickupSynth) pickupSynth.triggerAttackRelease("C3", 0.2);
+}
+
+// Replays a CSS animation class even if it's already applied
+function restartAnimation(element, className) {
+  if (!element) return;
+  element.classList.remove(className, "pop", "broken");
+  void element.offsetWidth; // Force a reflow so the animation restarts
+  element.classList.add(className);
+}
+
+function updateComboCounter() {
+  const { combo, comboTimer } = sim.state;
+  if (combo > 0) {
+    const multiplier = getComboMultiplier(combo);
+    comboCounterElement.firstChild.textContent = `CHAIN ${combo} x${multiplier.toFixed(2)}`;
+    comboTimerElement.style.width = `${(comboTimer / COMBO_WINDOW) * 100}%`;
+    comboCounterElement.style.display = "block";
+  } else if (!comboCounterElement.classList.contains("broken")) {
+    comboCounterElement.style.display = "none";
+  }
+}
+
+function onPickupCollected(kind) {
+  console.log(`Pickup acquired: ${kind}`);
+  if (pickupSynth)
+    pickupSynth.triggerAttackRelease(PICKUP_STYLES[kind].note, 0.12);
+  if (kind === "fuel" && boostMeterElement) {
+    boostMeterElement.classList.add("refuel");
+    setTimeout(() => boostMeterElement.classList.remove("refuel"), 300);
+  }
+}
+
+function onShieldHit() {
+  console.log("Shield absorbed impact!");
+  if (crashSound) crashSound.triggerAttackRelease(0.15, undefined, 0.5);
+  rumbleGamepad(0.6, 0.4, 200);
+  collisionShakeTime = COLLISION_SHAKE_DURATION / 2;
+}
+
+// Shows the active pickups (and the time left on timed ones) in #game-info
+function updatePickupIndicators() {
+  const { scoreMultiplierTime, magnetTime, hasShield } = sim.state;
+  const setIndicator = (element, active, text) => {
+    element.style.display = active ? "inline" : "none";
+    if (active) element.innerText = text;
+  };
+  setIndicator(
+    multiplierIndicatorElement,
+    scoreMultiplierTime > 0,
+    `x2 ${Math.ceil(scoreMultiplierTime)}s`,
+  );
+  setIndicator(shieldIndicatorElement, hasShield, "SHIELD");
+  setIndicator(
+    magnetIndicatorElement,
+    magnetTime > 0,
+    `MAG ${Math.ceil(magnetTime)}s`,
+  );
+  // Blink out the last couple of seconds
+  multiplierIndicatorElement.classList.toggle(
+    "expiring",
+    scoreMultiplierTime > 0 && scoreMultiplierTime < MULTIPLIER_DURATION / 5,
+  );
+  magnetIndicatorElement.classList.toggle(
+    "expiring",
+    magnetTime > 0 && magnetTime < MAGNET_DURATION / 4,
+  );
+}
+
+function onSectorEntered(number, biome) {
+  console.log(`Entering Grid Sector ${number} (${biome}).`);
+  sectorTheme = SECTOR_THEMES[biome];
+  sectorBannerElement.querySelector(".sector-number").innerText =
+    `SECTOR ${number}`;
+  sectorBannerElement.querySelector(".sector-name").innerText =
+    sectorTheme.label;
+  restartAnimation(sectorBannerElement, "show");
+  restartAnimation(glitchOverlayElement, "active");
+  if (bloomPass) bloomPass.strength += SECTOR_GLITCH_BLOOM;
+  if (crashSound) crashSound.triggerAttackRelease(0.08, undefined, 0.3);
+}
+
+// Eases fog, background, bloom and rain toward the current sector's theme
+// (a blend of 1 snaps straight to it)
+function updateSectorAtmosphere(blend) {
+  scene.background.lerp(sectorTheme.background, blend);
+  scene.fog.color.copy(scene.background);
+  scene.fog.near += (sectorTheme.fogNear - scene.fog.near) * blend;
+  scene.fog.far += (sectorTheme.fogFar - scene.fog.far) * blend;
+  const quality = getQualityPreset();
+  const bloom = sectorTheme.bloom * quality.bloomStrength;
+  if (bloomPass) bloomPass.strength += (bloom - bloomPass.strength) * blend;
+  if (rain) rain.setDensity(sectorTheme.rain * quality.rain);
+}
+
+// Keeps the looping boost/drift sounds and the soundtrack's layers in line
+// with the simulation state
+function syncLoopingSounds() {
+  const { isBoosting, isSwitchingLanes, speed } = sim.state;
+  if (boostSound) {
+    if (isBoosting && !isBoostSoundActive) {
+      boostSound.triggerAttack();
+      isBoostSoundActive = true;
+    } else if (!isBoosting && isBoostSoundActive) {
+      boostSound.triggerRelease();
+      isBoostSoundActive = false;
+    }
+  }
+  if (driftSynth) {
+    if (isSwitchingLanes && !isDriftSynthActive) {
+      driftSynth.triggerAttack();
+      isDriftSynthActive = true;
+    } else if (!isSwitchingLanes && isDriftSynthActive) {
+      driftSynth.triggerRelease();
+      isDriftSynthActive = false;
+    }
+  }
+  if (engineSound) {
+    // Pitch and brightness climb with speed, with a kick while boosting.
+    // Ramps are only scheduled when a target changes, not every frame.
+    const revs =
+      Math.round(
+        Math.min(1.5, speed / maxSpeed) * (isBoosting ? 1.2 : 1) * 100,
+      ) / 100;
+    if (revs !== engineSound.revs) {
+      engineSound.revs = revs;
+      const pitch = ENGINE_BASE_PITCH * (1 + revs * 2);
+      engineSound.oscillators[0].frequency.rampTo(pitch, 0.1);
+      engineSound.oscillators[1].frequency.rampTo(pitch / 2, 0.1);
+      engineSound.filter.frequency.rampTo(
+        ENGINE_BASE_CUTOFF * (1 + revs * 4),
+        0.1,
+      );
+    }
+    if (engineSound.level !== ENGINE_LEVEL) {
+      engineSound.level = ENGINE_LEVEL;
+      engineSound.gain.gain.rampTo(ENGINE_LEVEL, 0.2);
+    }
+  }
+  if (soundtrack) {
+    soundtrack.update({
+      speedRatio: speed / maxSpeed,
+      boosting: isBoosting,
+      sectorChord: sectorTheme.chord,
+    });
+  }
+}
+
+// --- Game Loop ---
+// Gameplay advances in fixed FIXED_TIMESTEP steps from an accumulator, so
+// distance, score and difficulty no longer depend on the monitor refresh rate.
+// Rendering runs once per display frame and interpolates the car between the
+// last two steps.
+function animate() {
+  if (gameOver || isPaused) return;
+  animationFrameId = requestAnimationFrame(animate);
+  delta = Math.min(clock.getDelta(), MAX_FRAME_TIME);
+  updateAutoQuality(delta);
+  pollGamepad();
+  if (isPaused) return; // Start was pressed
+  if (countdownTime > 0) {
+    // The world is drawn but held still until the countdown reaches GO
+    updateCountdown(delta);
+    renderGame(delta, 1);
+    return;
+  }
+
+  stepAccumulator += delta;
+  while (stepAccumulator >= FIXED_TIMESTEP && !gameOver) {
+    stepAccumulator -= FIXED_TIMESTEP;
+    if (replayPlayback && sim.state.step >= replayPlayback.steps) {
+      endGame("replayEnd");
+      break;
+    }
+    updateGame(FIXED_TIMESTEP);
+  }
+
+  renderGame(delta, stepAccumulator / FIXED_TIMESTEP);
+}
+
+function updateGame(dt) {
+  const { step, time } = sim.state;
+  // Held on-screen/controller boost acts like keyboard auto-repeat, so the
+  // boost kicks back in once the fuel has recovered
+  if (boostHeldBy.size > 0 && !replayPlayback) pendingInputs.push("boostStart");
+  const inputs = replayPlayback ? takeReplayInputs(step) : pendingInputs;
+  pendingInputs = [];
+  handleSimEvents(sim.step(dt, inputs), step, time);
+  if (ghostRecording && sim.state.step % GHOST_SAMPLE_STEPS === 0)
+    recordGhostSample();
+}
+
+function updateRoad() {
+  const carZ = sim.state.carZ;
+  if (roadSegments.length > 0) {
+    const farthestRoadZ = roadSegments[roadSegments.length - 1].userData.trackZ;
+    if (carZ < farthestRoadZ + roadSegmentLength * (visibleSegments / 2)) {
+      const nextSegmentZ = farthestRoadZ - roadSegmentLength;
+      createRoadSegment(nextSegmentZ);
+      roadSegments.sort((a, b) => b.userData.trackZ - a.userData.trackZ);
+    }
+  } else {
+    createRoadSegment(carZ - roadSegmentLength * (visibleSegments / 2));
+    roadSegments.sort((a, b) => b.userData.trackZ - a.userData.trackZ);
+  }
+  cleanupOldRoadSegments();
+}
+
+function renderGame(frameDelta, alpha) {
+  if (!car) {
+    console.warn("Vehicle entity lost in loop!");
+    return;
+  }
+  const { speed, isBoosting, boostFuel, score } = sim.state;
+  // Frame-rate independent version of a per-60Hz-frame lerp factor
+  const smoothing = (factor) => 1 - Math.pow(1 - factor, frameDelta * 60);
+
+  // Interpolate between the last two simulation steps
+  const { carX, carZ, prevCarX, prevCarZ } = sim.state;
+  const carTrackX = prevCarX + (carX - prevCarX) * alpha;
+  const carTrackZ = prevCarZ + (carZ - prevCarZ) * alpha;
+  track.place(car, carTrackX, 0.2, carTrackZ, Math.PI);
+  car.updateMatrixWorld();
+  if (ghostRun) updateGhost((sim.state.step - 1 + alpha) * FIXED_TIMESTEP);
+
+  updateRoad();
+  updateObstacleMeshes(smoothing);
+  updatePickupMeshes();
+  if (!gameOver) syncLoopingSounds();
+
+  // --- Car Opacity for Phasing ---
+  const targetOpacityValue = isBoosting ? BOOST_OPACITY : 1.0;
+  setCarOpacity(targetOpacityValue, smoothing(0.1));
+
+  // Update boost meter UI
+  if (boostLevelElement) {
+    const boostPercentage = (boostFuel / boostMaxFuel) * 100;
+    boostLevelElement.style.width = `${boostPercentage}%`;
+    if (boostPercentage < 25)
+      boostLevelElement.style.backgroundColor = "#ff3333";
+    else if (boostPercentage < 50)
+      boostLevelElement.style.backgroundColor = "#ffaa33";
+    else boostLevelElement.style.backgroundColor = "#ff00ff";
+  }
+
+  // Update Camera & FOV
+  const currentMaxSpeed = isBoosting
+    ? maxSpeed * boostSpeedMultiplier
+    : maxSpeed;
+  // Chase camera in track coordinates, banking with the road
+  cameraTrackX += (carTrackX - cameraTrackX) * smoothing(0.05);
+  track.toWorld(
+    cameraTrackX,
+    CAMERA_HEIGHT,
+    carTrackZ + CAMERA_DISTANCE,
+    camera.position,
+  );
+  camera.up.copy(track.getFrame(carTrackZ).up);
+  camera.lookAt(track.toWorld(carTrackX, 1, carTrackZ - 15, cameraTarget));
+  const baseFOV = 75;
+  const maxFOVBoost = isBoosting ? 18 : 10;
+  camera.fov = baseFOV + (speed / currentMaxSpeed) * maxFOVBoost;
+  camera.updateProjectionMatrix();
+
+  // Camera Shake
+  const speedShakeIntensity = speed * 0.005 + (isBoosting ? 0.02 : 0);
+  const shakeX = (Math.random() - 0.5) * speedShakeIntensity;
+  const shakeY = (Math.random() - 0.5) * speedShakeIntensity;
+  camera.position.x += shakeX;
+  camera.position.y += shakeY;
+
+  // Update Visual Effects
+  updateSectorAtmosphere(smoothing(0.02));
+  updateRain(frameDelta, carTrackZ);
+  updateCarTrail();
+
+  // Update UI
+  if (speedometerElement) {
+    // Calculate display speed and convert to integer
+    const displaySpeed = Math.floor(speed * SPEED_DISPLAY_MULTIPLIER);
+    speedometerElement.innerText = `SPD: ${displaySpeed} km/h`;
+  }
+  if (scoreElement) scoreElement.innerText = `Score: ${score}`;
+  updatePickupIndicators();
+  updateComboCounter();
+  if (gameMode === "timeattack") updateTimeAttack();
+
+  // Collision Camera Shake (Still happens on game over)
+  if (collisionShakeTime > 0) {
+    const shakeAmount =
+      COLLISION_SHAKE_INTENSITY *
+      (collisionShakeTime / COLLISION_SHAKE_DURATION);
+    camera.position.x += (Math.random() - 0.5) * shakeAmount;
+    camera.position.y += (Math.random() - 0.5) * shakeAmount;
+    camera.position.z += (Math.random() - 0.5) * shakeAmount;
+    collisionShakeTime -= frameDelta;
+  }
+
+  // Render
+  composer.render(frameDelta);
+}
+
+// --- Event Listeners --- (Unchanged)
+document.addEventListener("DOMContentLoaded", initializeApp);
+document.addEventListener("keydown", (e) => {
+  if (rebinding) {
+    handleRebindKey(e);
+    return;
+  }
+  if (initialsEntry) {
+    handleInitialsKey(e);
+    return;
+  }
+  const key = normalizeKey(e.key);
+  const action = getActionForKey(key);
+  if (!action && getPauseKeys().includes(key)) {
+    if (isPaused) resumeGame();
+    else pauseGame();
+    return;
+  }
+  if (gameOver || isPaused || !action) return;
+  handlePlayerInput(action === "boost" ? "boostStart" : action);
+});
+document.addEventListener("keyup", (e) => {
+  if (gameOver) return;
+  if (getActionForKey(normalizeKey(e.key)) === "boost")
+    handlePlayerInput("boostEnd");
+});
+// Auto-pause when the tab/window loses focus so the run doesn't continue
+// (or jump ahead) unattended
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) pauseGame();
+});
+window.addEventListener("blur", pauseGame);
+window.addEventListener("gamepadconnected", (e) => {
+  console.log(`Controller Linked: ${e.gamepad.id}`);
+  if (activeGamepadIndex === null) {
+    activeGamepadIndex = e.gamepad.index;
+    previousGamepadButtons = [];
+  }
+});
+window.addEventListener("gamepaddisconnected", (e) => {
+  console.log(`Controller Unlinked: ${e.gamepad.id}`);
+  if (e.gamepad.index !== activeGamepadIndex) return;
+  activeGamepadIndex = null;
+  // Fall back to any other connected controller
+  const others = navigator.getGamepads ? navigator.getGamepads() : [];
+  const next = Array.from(others).find((gamepad) => gamepad);
+  if (next) activeGamepadIndex = next.index;
+  if (boostHeldBy.delete("gamepad")) handlePlayerInput("boostEnd");
 });
+window.addEventListener("resize", resizeRenderer);
 
 console.log("System Ready.");
@@ -0,0 +1,214 @@
+// --- Gridline Rain ---
+// Rain is animated entirely on the GPU. Every drop keeps a fixed random seed
+// and the vertex shader places it inside a box that wraps around the camera,
+// from how far the rain has fallen and how far the car has driven. The CPU
+// only updates a few uniforms per frame, whatever the drop count. Drops are
+// drawn as streaks stretched along their motion relative to the car, and
+// splash rings ripple on the road around it.
+import * as THREE from "three";
+
+// Rain box in the road frame under the car (x across, y up, z behind)
+const RAIN_WIDTH = 250;
+const RAIN_HEIGHT = 200;
+const RAIN_BOTTOM = -10;
+const RAIN_DEPTH = 480;
+const RAIN_NEAR = 94; // Far edge behind the car; the camera sits 14 behind
+// Splashes cover the road just ahead of the car. SPLASH_DEPTH divides
+// RAIN_DEPTH so both can share the wrapped travel distance.
+const SPLASH_DEPTH = 120;
+const SPLASH_NEAR = 20;
+const SPLASH_RATE = 1.5; // Splashes per second at each splash point
+const SPLASH_SIZE = 1.2; // World units across at full size
+const TIME_WRAP = 1000; // Keeps the shader's time small enough for floats
+
+const DROP_VERTEX_SHADER = `
+#define RAIN_WIDTH ${RAIN_WIDTH.toFixed(1)}
+#define RAIN_HEIGHT ${RAIN_HEIGHT.toFixed(1)}
+#define RAIN_BOTTOM ${RAIN_BOTTOM.toFixed(1)}
+#define RAIN_DEPTH ${RAIN_DEPTH.toFixed(1)}
+#define RAIN_NEAR ${RAIN_NEAR.toFixed(1)}
+uniform float uTravel;
+uniform float uFall;
+uniform float uCenterX;
+uniform vec3 uVelocity;
+uniform float uStreak;
+attribute float tail;
+varying float vAlpha;
+#include <fog_pars_vertex>
+void main() {
+  // position holds the drop's seed, each component in [0, 1)
+  vec3 drop = vec3(
+    uCenterX - RAIN_WIDTH * 0.5 + mod(position.x * RAIN_WIDTH - uCenterX, RAIN_WIDTH),
+    RAIN_BOTTOM + mod(position.y * RAIN_HEIGHT - uFall, RAIN_HEIGHT),
+    RAIN_NEAR - RAIN_DEPTH + mod(position.z * RAIN_DEPTH + uTravel, RAIN_DEPTH)
+  );
+  // The tail trails back along the drop's velocity relative to the car
+  drop -= tail * uVelocity * uStreak;
+  vAlpha = 1.0 - tail;
+  vec4 mvPosition = modelViewMatrix * vec4(drop, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+  #include <fog_vertex>
+}
+`;
+
+const DROP_FRAGMENT_SHADER = `
+uniform vec3 uColor;
+uniform float uOpacity;
+varying float vAlpha;
+#include <fog_pars_fragment>
+void main() {
+  gl_FragColor = vec4(uColor, uOpacity * vAlpha);
+  #include <fog_fragment>
+}
+`;
+
+const SPLASH_VERTEX_SHADER = `
+#define SPLASH_DEPTH ${SPLASH_DEPTH.toFixed(1)}
+#define SPLASH_NEAR ${SPLASH_NEAR.toFixed(1)}
+#define SPLASH_RATE ${SPLASH_RATE.toFixed(1)}
+#define SPLASH_SIZE ${SPLASH_SIZE.toFixed(1)}
+uniform float uTravel;
+uniform float uTime;
+uniform float uHalfWidth;
+uniform float uPointScale;
+varying float vPhase;
+#include <fog_pars_vertex>
+float hash(float n) {
+  return fract(sin(n) * 43758.5453);
+}
+void main() {
+  // Each splash point moves to a new random spot on the road every cycle
+  float t = uTime * SPLASH_RATE + position.z;
+  float cycle = floor(t);
+  vPhase = fract(t);
+  float x = (hash(cycle + position.x * 97.0) * 2.0 - 1.0) * uHalfWidth;
+  float z = SPLASH_NEAR - SPLASH_DEPTH +
+    mod(hash(cycle + position.y * 131.0) * SPLASH_DEPTH + uTravel, SPLASH_DEPTH);
+  vec4 mvPosition = modelViewMatrix * vec4(x, 0.05, z, 1.0);
+  gl_PointSize = SPLASH_SIZE * (0.3 + vPhase) * uPointScale / -mvPosition.z;
+  gl_Position = projectionMatrix * mvPosition;
+  #include <fog_vertex>
+}
+`;
+
+const SPLASH_FRAGMENT_SHADER = `
+uniform vec3 uColor;
+uniform float uOpacity;
+varying float vPhase;
+#include <fog_pars_fragment>
+void main() {
+  // Expanding ring, squashed so it reads as lying on the road
+  vec2 p = gl_PointCoord * 2.0 - 1.0;
+  float r = length(vec2(p.x, p.y * 2.5));
+  float ring = smoothstep(vPhase - 0.3, vPhase, r) * (1.0 - smoothstep(vPhase, vPhase + 0.1, r));
+  float alpha = ring * (1.0 - vPhase) * uOpacity;
+  if (alpha < 0.01) discard;
+  gl_FragColor = vec4(uColor, alpha);
+  #include <fog_fragment>
+}
+`;
+
+function createRainMaterial(vertexShader, fragmentShader, uniforms) {
+  return new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, uniforms]),
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    fog: true,
+  });
+}
+
+function createSeeds(count, verticesPerSeed) {
+  const seeds = new Float32Array(count * verticesPerSeed * 3);
+  for (let i = 0; i < count; i++) {
+    const x = Math.random();
+    const y = Math.random();
+    const z = Math.random();
+    for (let v = 0; v < verticesPerSeed; v++) {
+      seeds.set([x, y, z], (i * verticesPerSeed + v) * 3);
+    }
+  }
+  return new THREE.BufferAttribute(seeds, 3);
+}
+
+export function createRain({ dropCount, splashCount, roadHalfWidth }) {
+  // Two vertices per drop: the head (tail = 0) and the end of its streak
+  const dropGeometry = new THREE.BufferGeometry();
+  dropGeometry.setAttribute("position", createSeeds(dropCount, 2));
+  const tails = new Float32Array(dropCount * 2);
+  for (let i = 0; i < dropCount; i++) tails[i * 2 + 1] = 1;
+  dropGeometry.setAttribute("tail", new THREE.BufferAttribute(tails, 1));
+  const dropMaterial = createRainMaterial(
+    DROP_VERTEX_SHADER,
+    DROP_FRAGMENT_SHADER,
+    {
+      uTravel: { value: 0 },
+      uFall: { value: 0 },
+      uCenterX: { value: 0 },
+      uVelocity: { value: new THREE.Vector3() },
+      uStreak: { value: 0 },
+      uColor: { value: new THREE.Color(0xaaaaee) },
+      uOpacity: { value: 0.6 },
+    },
+  );
+  const drops = new THREE.LineSegments(dropGeometry, dropMaterial);
+  drops.frustumCulled = false; // Positions only exist in the shader
+
+  const splashGeometry = new THREE.BufferGeometry();
+  splashGeometry.setAttribute("position", createSeeds(splashCount, 1));
+  const splashMaterial = createRainMaterial(
+    SPLASH_VERTEX_SHADER,
+    SPLASH_FRAGMENT_SHADER,
+    {
+      uTravel: { value: 0 },
+      uTime: { value: 0 },
+      uHalfWidth: { value: roadHalfWidth },
+      uPointScale: { value: 1 },
+      uColor: { value: new THREE.Color(0xccccff) },
+      uOpacity: { value: 0.5 },
+    },
+  );
+  const splashes = new THREE.Points(splashGeometry, splashMaterial);
+  splashes.frustumCulled = false;
+
+  const dropUniforms = dropMaterial.uniforms;
+  const splashUniforms = splashMaterial.uniforms;
+  let travel = 0;
+  let fall = 0;
+  let time = 0;
+
+  // Advances the rain by one rendered frame. travelled is the distance the
+  // car moved forward; streak is how many seconds of motion a streak shows.
+  function update({
+    delta,
+    travelled,
+    fallSpeed,
+    speed,
+    streak,
+    centerX,
+    pointScale,
+  }) {
+    // Wrapped on the CPU so the shader's mod() stays precise on long runs
+    travel = (((travel + travelled) % RAIN_DEPTH) + RAIN_DEPTH) % RAIN_DEPTH;
+    fall = (fall + fallSpeed * delta) % RAIN_HEIGHT;
+    time = (time + delta) % TIME_WRAP;
+    dropUniforms.uTravel.value = travel;
+    dropUniforms.uFall.value = fall;
+    dropUniforms.uCenterX.value = centerX;
+    dropUniforms.uVelocity.value.set(0, -fallSpeed, speed);
+    dropUniforms.uStreak.value = streak;
+    splashUniforms.uTravel.value = travel;
+    splashUniforms.uTime.value = time;
+    splashUniforms.uPointScale.value = pointScale;
+  }
+
+  // Share of the drops and splashes drawn, from 0 to 1
+  function setDensity(fraction) {
+    const share = Math.max(0, Math.min(1, fraction));
+    dropGeometry.setDrawRange(0, Math.round(dropCount * share) * 2);
+    splashGeometry.setDrawRange(0, Math.round(splashCount * share));
+  }
+
+  return { drops, splashes, update, setDensity };
+}
@@ -0,0 +1,943 @@
+// --- Gridline Simulation Core ---
+// All gameplay state and rules, with no THREE, DOM or audio dependencies, so
+// it runs the same in the browser and in Node. app.js queues player inputs,
+// calls step() once per fixed timestep and renders/plays whatever the returned
+// events and the state describe.
+
+// --- Seeded Randomness ---
+// Every gameplay roll (lanes, obstacle count/size, spawn gaps) goes through
+// the simulation's rng so a seed reproduces the exact same course. Purely
+// cosmetic effects (rain, camera shake) stay on Math.random in app.js.
+export function createRng(seed) {
+  // mulberry32
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function hashString(str) {
+  // FNV-1a, 32-bit
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(16).toUpperCase().padStart(8, "0");
+}
+
+// Accepts the 8-digit hex form shown on the game over screen, or any other
+// string (which gets hashed), so seeds can be shared as plain text.
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const text = String(value).trim();
+  if (/^[0-9a-f]{8}$/i.test(text)) return parseInt(text, 16) >>> 0;
+  return hashString(text);
+}
+
+// UTC date so every player gets the same Daily Grid regardless of timezone.
+export function getDailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function getDailySeed(date = new Date()) {
+  return hashString(`daily-grid-${getDailyKey(date)}`);
+}
+
+// --- Tuning ---
+// Per-step values (acceleration, deceleration, distance per unit of speed)
+// assume 60 steps per second; per-second rates are scaled by dt.
+export const laneWidth = 4;
+export const maxSpeed = 10;
+export const boostMaxFuel = 100;
+export const boostSpeedMultiplier = 1.5; // Increased multiplier for more impact
+export const CAR_WIDTH = 1.9;
+export const CAR_DEPTH = 3.8;
+export const CAR_HEIGHT = 1.1;
+export const CAR_START_Z = 5;
+const acceleration = 0.04;
+const deceleration = 0.05;
+const speedChangeStep = 0.5; // targetSpeed change per accelerate/decelerate
+const throttleRate = 6; // targetSpeed change per second at full analog throttle
+const baseMinSpeed = 1;
+const boostMinFuel = 10; // Fuel needed to start boosting
+const boostAccelerationMultiplier = 1.8;
+const laneChangeLerp = 0.2;
+const scoreMultiplier = 2;
+const NEAR_MISS_THRESHOLD = 2.0;
+const NEAR_MISS_POINTS = 50;
+const NEAR_MISS_COOLDOWN = 0.5;
+// Near misses chained within COMBO_WINDOW seconds of each other raise a
+// multiplier on all scoring. The chain breaks when the window runs out or a
+// boost ends without phasing through or skimming anything.
+export const COMBO_WINDOW = 3;
+const COMBO_STEP = 0.25; // Multiplier gained per chained near miss
+const COMBO_MAX_CHAIN = 8; // Chain length at which the multiplier caps (x3)
+const COLLISION_MARGIN = 0.9;
+const FIRST_OBSTACLE_DISTANCE = 60;
+const SPAWN_DISTANCE_AHEAD = 280;
+const OBSTACLE_CLEANUP_BEHIND = 100;
+
+// --- Difficulty ---
+// Everything that sets how hard a run is, one tuning per preset. The minimum
+// speed rises by speedIncreaseRate per meter. Obstacle waves are a random gap
+// apart, between minSpawnGap and maxSpawnGap meters; both shrink by their
+// ramp per meter travelled, down to their floor. singleBuildingChance is how
+// often a building wave blocks one lane rather than two.
+export const DEFAULT_DIFFICULTY = "normal";
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    speedIncreaseRate: 0.00005,
+    minSpawnGap: 120,
+    minSpawnGapRamp: 0.008,
+    minSpawnGapFloor: 70,
+    maxSpawnGap: 220,
+    maxSpawnGapRamp: 0.015,
+    maxSpawnGapFloor: 130,
+    boostConsumeRate: 25,
+    boostRegenRate: 14,
+    singleBuildingChance: 0.8,
+  },
+  normal: {
+    speedIncreaseRate: 0.0001,
+    minSpawnGap: 90,
+    minSpawnGapRamp: 0.01,
+    minSpawnGapFloor: 50,
+    maxSpawnGap: 180,
+    maxSpawnGapRamp: 0.02,
+    maxSpawnGapFloor: 100,
+    boostConsumeRate: 35,
+    boostRegenRate: 10,
+    singleBuildingChance: 0.6,
+  },
+  hard: {
+    speedIncreaseRate: 0.00015,
+    minSpawnGap: 75,
+    minSpawnGapRamp: 0.012,
+    minSpawnGapFloor: 40,
+    maxSpawnGap: 150,
+    maxSpawnGapRamp: 0.025,
+    maxSpawnGapFloor: 85,
+    boostConsumeRate: 40,
+    boostRegenRate: 8,
+    singleBuildingChance: 0.45,
+  },
+  insane: {
+    speedIncreaseRate: 0.00025,
+    minSpawnGap: 60,
+    minSpawnGapRamp: 0.015,
+    minSpawnGapFloor: 30,
+    maxSpawnGap: 120,
+    maxSpawnGapRamp: 0.03,
+    maxSpawnGapFloor: 65,
+    boostConsumeRate: 50,
+    boostRegenRate: 6,
+    singleBuildingChance: 0.3,
+  },
+};
+
+// Checks a custom tuning (e.g. parsed from a JSON file) and fills in any
+// field it leaves out from the default preset. Throws on anything invalid.
+export function resolveTuning(overrides) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides))
+    throw new Error("Tuning must be a JSON object.");
+  const base = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+  Object.entries(overrides).forEach(([field, value]) => {
+    if (!Object.hasOwn(base, field))
+      throw new Error(`Unknown tuning field "${field}".`);
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0)
+      throw new Error(`Tuning field "${field}" must be a number >= 0.`);
+  });
+  const tuning = { ...base, ...overrides };
+  const check = (isValid, message) => {
+    if (!isValid) throw new Error(`Invalid tuning: ${message}.`);
+  };
+  check(tuning.singleBuildingChance <= 1, "singleBuildingChance is above 1");
+  check(tuning.minSpawnGapFloor >= 1, "minSpawnGapFloor is below 1");
+  check(
+    tuning.minSpawnGapFloor <= tuning.minSpawnGap,
+    "minSpawnGapFloor is above minSpawnGap",
+  );
+  check(
+    tuning.maxSpawnGapFloor <= tuning.maxSpawnGap,
+    "maxSpawnGapFloor is above maxSpawnGap",
+  );
+  check(
+    tuning.minSpawnGap <= tuning.maxSpawnGap,
+    "minSpawnGap is above maxSpawnGap",
+  );
+  check(
+    tuning.minSpawnGapFloor <= tuning.maxSpawnGapFloor,
+    "minSpawnGapFloor is above maxSpawnGapFloor",
+  );
+  check(tuning.boostConsumeRate > 0, "boostConsumeRate must be above 0");
+  return tuning;
+}
+
+// --- Obstacle Archetypes ---
+// Each spawn picks one archetype by weight. Weights start at `base` once the
+// run reaches `from` meters and ramp by `ramp` per meter up to `max`, so the
+// course opens with plain buildings and mixes in the trickier types later.
+const OBSTACLE_SPAWN_WEIGHTS = [
+  { kind: "building", from: 0, base: 10, ramp: 0, max: 10 },
+  { kind: "debris", from: 1500, base: 1, ramp: 0.0004, max: 4 },
+  { kind: "slider", from: 3000, base: 1, ramp: 0.0004, max: 4 },
+  { kind: "gate", from: 6000, base: 1, ramp: 0.0003, max: 3 },
+  { kind: "lowbar", from: 10000, base: 0.5, ramp: 0.0002, max: 2 },
+];
+const SLIDER_MIN_FREQUENCY = 1.5; // Radians per second
+const SLIDER_FREQUENCY_RANGE = 1;
+const GATE_PERIOD = 2.4; // Seconds for a full open/close cycle
+const GATE_OPEN_FRACTION = 0.5; // With 3 staggered gates one is always open
+const LOWBAR_CLEARANCE = 0.7; // Height of the bar's underside
+const DEBRIS_DROP_HEIGHT = 40;
+const DEBRIS_LAND_FRACTION = 0.7; // Lands this far into the car's approach
+
+// --- Sectors ---
+// The course is split into sectors of SECTOR_LENGTH meters, numbered from
+// 7001. Each sector has a biome that reweights the obstacle mix (the renderer
+// gives it its own look and sound); the biomes cycle in order.
+export const SECTOR_LENGTH = 15000;
+export const FIRST_SECTOR_NUMBER = 7001;
+export const SECTOR_BIOMES = ["downtown", "industrial", "storm", "datavoid"];
+const BIOME_OBSTACLE_WEIGHTS = {
+  downtown: {},
+  industrial: { building: 0.6, slider: 2, gate: 2 },
+  storm: { debris: 3 },
+  datavoid: { building: 0.5, gate: 1.5, lowbar: 2 },
+};
+
+export function getSectorBiome(sector) {
+  return SECTOR_BIOMES[sector % SECTOR_BIOMES.length];
+}
+
+// --- Pickups ---
+// Dropped in a lane halfway between two obstacle waves.
+const PICKUP_CHANCE = 0.35; // Per obstacle wave
+const PICKUP_SPAWN_WEIGHTS = [
+  { kind: "fuel", weight: 4 },
+  { kind: "multiplier", weight: 2 },
+  { kind: "shield", weight: 1 },
+  { kind: "magnet", weight: 2 },
+];
+export const PICKUP_SIZE = 1.5;
+const FUEL_CELL_AMOUNT = 40;
+export const MULTIPLIER_DURATION = 10; // Seconds of x2 score
+export const MAGNET_DURATION = 8;
+const MAGNET_RANGE = 80; // How far ahead the magnet reaches
+const MAGNET_PULL = 0.15; // Per-step lerp of pickups toward the car
+
+// --- Time Attack ---
+// Runs against a clock that starts at TIME_ATTACK_START seconds and only
+// counts down. Every CHECKPOINT_INTERVAL meters a checkpoint gate adds time,
+// a little less at each gate; the run ends when the clock hits zero.
+const CHECKPOINT_INTERVAL = 2500;
+const TIME_ATTACK_START = 20;
+const CHECKPOINT_BONUS = 8; // Seconds added by the first gate
+const CHECKPOINT_BONUS_DECAY = 0.25; // Less per gate after that
+const CHECKPOINT_MIN_BONUS = 3;
+
+// --- Practice & Tutorial ---
+// Both forgive collisions: a hit costs PRACTICE_HIT_PENALTY points and the
+// obstacle stops being solid, but the run goes on. The tutorial also turns off
+// random spawning and walks through TUTORIAL_STEPS instead; each step spawns
+// its own obstacles and waits for the player to make one move.
+const PRACTICE_HIT_PENALTY = 500;
+const TUTORIAL_STEPS = ["lanes", "accelerate", "phase", "done"];
+const TUTORIAL_LEAD_TIME = 3; // Seconds of driving before a step's obstacles
+const TUTORIAL_TARGET_SPEED = 3;
+
+export function getComboMultiplier(combo) {
+  return 1 + Math.min(combo, COMBO_MAX_CHAIN) * COMBO_STEP;
+}
+
+// --- Simulation ---
+export function createSimulation({
+  seed = 0,
+  mode = "endless",
+  tuning = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY],
+} = {}) {
+  const rng = createRng(seed);
+  let nextObstacleId = 1;
+  const isTimeAttack = mode === "timeattack";
+  const isTutorial = mode === "tutorial";
+  const isForgiving = mode === "practice" || isTutorial;
+  let tutorialObstacles = []; // Spawned by the current tutorial step
+  let tutorialLane = 0; // Lane the car was in when the step started
+
+  const state = {
+    step: 0, // Number of steps simulated
+    time: 0, // Seconds of simulated time
+    speed: 0,
+    topSpeed: 0, // Highest speed reached this run
+    targetSpeed: baseMinSpeed,
+    minSpeed: baseMinSpeed,
+    throttle: 0, // Analog throttle (-1 brake .. 1 accelerate), e.g. triggers
+    lane: 0,
+    carX: 0,
+    carZ: CAR_START_Z,
+    prevCarX: 0, // Position before the last step, for render interpolation
+    prevCarZ: CAR_START_Z,
+    isSwitchingLanes: false,
+    distanceTraveled: 0,
+    score: 0,
+    boostFuel: boostMaxFuel,
+    isBoosting: false,
+    nearMissCooldown: 0,
+    nearMissCount: 0,
+    combo: 0, // Near misses in the current chain
+    comboTimer: 0, // Seconds left to extend the chain
+    maxCombo: 0,
+    boostUseful: false, // Current boost has phased or skimmed something
+    scoreMultiplierTime: 0, // Seconds of x2 score left
+    magnetTime: 0,
+    hasShield: false, // Absorbs the next collision
+    pickupsCollected: 0,
+    sector: 0, // Index of the sector the car is in (shown as 7001 + sector)
+    nextObstacleSpawnDistance: FIRST_OBSTACLE_DISTANCE,
+    obstacles: [],
+    pickups: [],
+    // Time Attack only: seconds left, the next gate and the time each gate
+    // was passed at
+    timeLeft: isTimeAttack ? TIME_ATTACK_START : null,
+    nextCheckpointDistance: CHECKPOINT_INTERVAL,
+    splits: [],
+    hits: 0, // Forgiven collisions (Practice and Tutorial)
+    tutorialStep: null, // Index into TUTORIAL_STEPS once the tutorial starts
+    gameOver: false,
+  };
+
+  // Returns true if the input changed state. No-op inputs (e.g. a held
+  // Shift auto-repeating) produce no event, so replays only store real ones.
+  function applyInput(action, value) {
+    switch (action) {
+      case "left":
+        if (state.lane <= -1) return false;
+        state.lane--;
+        return true;
+      case "right":
+        if (state.lane >= 1) return false;
+        state.lane++;
+        return true;
+      case "accelerate": {
+        const newTarget = Math.min(
+          state.targetSpeed + speedChangeStep,
+          maxSpeed,
+        );
+        if (newTarget === state.targetSpeed) return false;
+        state.targetSpeed = newTarget;
+        return true;
+      }
+      case "decelerate": {
+        const newTarget = Math.max(
+          state.targetSpeed - speedChangeStep,
+          state.minSpeed,
+        );
+        if (newTarget === state.targetSpeed) return false;
+        state.targetSpeed = newTarget;
+        return true;
+      }
+      case "boostStart":
+        if (state.isBoosting || state.boostFuel <= boostMinFuel) return false;
+        state.isBoosting = true;
+        state.boostUseful = false;
+        return true;
+      case "boostEnd":
+        if (!state.isBoosting) return false;
+        state.isBoosting = false;
+        // A boost cut short by pausing never counts as wasted
+        if (value === "pause") state.boostUseful = true;
+        return true;
+      case "throttle": {
+        const throttle = Math.max(-1, Math.min(1, Number(value) || 0));
+        if (throttle === state.throttle) return false;
+        state.throttle = throttle;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function pickWeighted(entries, weights) {
+    let roll = rng() * weights.reduce((sum, weight) => sum + weight, 0);
+    let index = 0;
+    while (index < entries.length - 1 && roll >= weights[index]) {
+      roll -= weights[index];
+      index++;
+    }
+    return entries[index];
+  }
+
+  function getSpawnWeight({ from, base, ramp, max }) {
+    if (state.distanceTraveled < from) return 0;
+    return Math.min(max, base + (state.distanceTraveled - from) * ramp);
+  }
+
+  function spawnObstacle(zPosition, dt, events) {
+    const biomeWeights = BIOME_OBSTACLE_WEIGHTS[getSectorBiome(state.sector)];
+    const { kind } = pickWeighted(
+      OBSTACLE_SPAWN_WEIGHTS,
+      OBSTACLE_SPAWN_WEIGHTS.map(
+        (entry) =>
+          getSpawnWeight(entry) *
+          (entry.kind in biomeWeights ? biomeWeights[entry.kind] : 1),
+      ),
+    );
+    switch (kind) {
+      case "debris":
+        spawnDebrisObstacle(zPosition, dt, events);
+        break;
+      case "slider":
+        spawnSliderObstacle(zPosition, events);
+        break;
+      case "gate":
+        spawnGateObstacles(zPosition, events);
+        break;
+      case "lowbar":
+        spawnLowBarObstacle(zPosition, events);
+        break;
+      default:
+        spawnBuildingObstacle(zPosition, events);
+    }
+  }
+
+  function spawnPickup(zPosition, events) {
+    const { kind } = pickWeighted(
+      PICKUP_SPAWN_WEIGHTS,
+      PICKUP_SPAWN_WEIGHTS.map(({ weight }) => weight),
+    );
+    const lane = Math.floor(rng() * 3) - 1;
+    const pickup = {
+      id: nextObstacleId++, // Shares the id sequence with obstacles
+      kind,
+      lane,
+      x: lane * laneWidth,
+      z: zPosition,
+    };
+    state.pickups.push(pickup);
+    events.push({ type: "pickupSpawned", pickup });
+  }
+
+  function applyPickup(kind) {
+    switch (kind) {
+      case "fuel":
+        state.boostFuel = Math.min(
+          boostMaxFuel,
+          state.boostFuel + FUEL_CELL_AMOUNT,
+        );
+        break;
+      case "multiplier":
+        state.scoreMultiplierTime = MULTIPLIER_DURATION;
+        break;
+      case "shield":
+        state.hasShield = true;
+        break;
+      case "magnet":
+        state.magnetTime = MAGNET_DURATION;
+        break;
+    }
+  }
+
+  function getScoreMultiplier() {
+    const pickupMultiplier = state.scoreMultiplierTime > 0 ? 2 : 1;
+    return pickupMultiplier * getComboMultiplier(state.combo);
+  }
+
+  function breakCombo(reason, events) {
+    if (state.combo === 0) return;
+    events.push({ type: "comboBroken", combo: state.combo, reason });
+    state.combo = 0;
+    state.comboTimer = 0;
+  }
+
+  // True if the box at x/z overlaps the car anywhere along the path it moved
+  // this step, so thin obstacles and pickups can't slip between two steps
+  // at high speed.
+  function overlapsCarPath(x, z, width, depth, margin = 1) {
+    const { carX, carZ, prevCarZ } = state;
+    const halfCarDepth = (CAR_DEPTH * margin) / 2;
+    const halfDepth = (depth * margin) / 2;
+    return (
+      Math.abs(carX - x) * 2 < (CAR_WIDTH + width) * margin &&
+      z + halfDepth > carZ - halfCarDepth &&
+      z - halfDepth < prevCarZ + halfCarDepth
+    );
+  }
+
+  function updatePickups(events) {
+    const cleanupThresholdZ = state.carZ + OBSTACLE_CLEANUP_BEHIND;
+    for (let i = state.pickups.length - 1; i >= 0; i--) {
+      const pickup = state.pickups[i];
+      if (pickup.z > cleanupThresholdZ) {
+        state.pickups.splice(i, 1);
+        events.push({ type: "pickupRemoved", pickup });
+        continue;
+      }
+      const distanceAhead = state.carZ - pickup.z;
+      if (state.magnetTime > 0 && distanceAhead < MAGNET_RANGE) {
+        pickup.x += (state.carX - pickup.x) * MAGNET_PULL;
+      }
+      if (overlapsCarPath(pickup.x, pickup.z, PICKUP_SIZE, PICKUP_SIZE)) {
+        state.pickups.splice(i, 1);
+        applyPickup(pickup.kind);
+        state.pickupsCollected++;
+        events.push({ type: "pickupCollected", pickup });
+      }
+    }
+  }
+
+  function addObstacle(fields, events) {
+    const obstacle = { id: nextObstacleId++, y: 0, ...fields };
+    updateDynamicObstacle(obstacle, 0); // Settle the initial pose
+    state.obstacles.push(obstacle);
+    events.push({ type: "obstacleSpawned", obstacle });
+    return obstacle;
+  }
+
+  function spawnBuildingObstacle(zPosition, events) {
+    const lanePositions = [-1, 0, 1];
+    const obstacleCount = rng() < tuning.singleBuildingChance ? 1 : 2;
+    const availableLaneIndices = [0, 1, 2];
+    const blockedLaneIndices = [];
+    while (
+      blockedLaneIndices.length < obstacleCount &&
+      availableLaneIndices.length > 0
+    ) {
+      const randomIndex = Math.floor(rng() * availableLaneIndices.length);
+      const chosenIndex = availableLaneIndices.splice(randomIndex, 1)[0];
+      blockedLaneIndices.push(chosenIndex);
+    }
+    blockedLaneIndices.forEach((laneIndex) =>
+      addBuilding(lanePositions[laneIndex], zPosition, events),
+    );
+  }
+
+  function addBuilding(lane, zPosition, events) {
+    const height = 20 + rng() * 40;
+    const width = 3.5 + rng() * 1.5;
+    return addObstacle(
+      {
+        kind: "building",
+        lane,
+        x: lane * laneWidth,
+        z: zPosition,
+        width,
+        depth: width,
+        height,
+        // Look rolls: part of the seeded sequence so a replay re-renders
+        // the same skyline, but only the renderer interprets them.
+        colorRoll: rng(),
+        glowRoll: rng(),
+      },
+      events,
+    );
+  }
+
+  // A barrier sliding back and forth across two lanes (or all three)
+  function spawnSliderObstacle(zPosition, events) {
+    const spansAllLanes = rng() < 0.3;
+    const centerLane = spansAllLanes ? 0 : rng() < 0.5 ? -0.5 : 0.5;
+    addObstacle(
+      {
+        kind: "slider",
+        lane: centerLane,
+        centerX: centerLane * laneWidth,
+        amplitude: (spansAllLanes ? 1 : 0.5) * laneWidth,
+        frequency: SLIDER_MIN_FREQUENCY + rng() * SLIDER_FREQUENCY_RANGE,
+        phase: rng() * Math.PI * 2,
+        x: centerLane * laneWidth,
+        z: zPosition,
+        width: 3.5,
+        depth: 1.2,
+        height: 2.5,
+      },
+      events,
+    );
+  }
+
+  // A row of gates, one per lane, opening in turn so a lane is always clear
+  function spawnGateObstacles(zPosition, events) {
+    const phaseOffset = rng() * GATE_PERIOD;
+    [-1, 0, 1].forEach((lane, laneIndex) => {
+      addObstacle(
+        {
+          kind: "gate",
+          lane,
+          x: lane * laneWidth,
+          z: zPosition,
+          width: laneWidth,
+          depth: 1,
+          height: 4,
+          phaseOffset: phaseOffset + (laneIndex * GATE_PERIOD) / 3,
+          isOpen: false,
+        },
+        events,
+      );
+    });
+  }
+
+  // Spans the whole road just above the ground: only phasing gets under it
+  function spawnLowBarObstacle(zPosition, events) {
+    addObstacle(
+      {
+        kind: "lowbar",
+        lane: 0,
+        x: 0,
+        y: LOWBAR_CLEARANCE,
+        z: zPosition,
+        width: laneWidth * 3 + 2,
+        depth: 1.5,
+        height: 0.8,
+      },
+      events,
+    );
+  }
+
+  // Drops into a lane from above, timed to land while the car approaches.
+  // Its shadow (x/z) is known from the start so the renderer can telegraph it.
+  function spawnDebrisObstacle(zPosition, dt, events) {
+    const lane = Math.floor(rng() * 3) - 1;
+    const approachSeconds =
+      (SPAWN_DISTANCE_AHEAD / Math.max(state.speed, baseMinSpeed)) * dt;
+    addObstacle(
+      {
+        kind: "debris",
+        lane,
+        x: lane * laneWidth,
+        y: DEBRIS_DROP_HEIGHT,
+        z: zPosition,
+        width: 2.5,
+        depth: 2.5,
+        height: 2,
+        fallSpeed:
+          DEBRIS_DROP_HEIGHT / (approachSeconds * DEBRIS_LAND_FRACTION),
+        spin: rng() * Math.PI * 2,
+      },
+      events,
+    );
+  }
+
+  function updateDynamicObstacle(obstacle, dt) {
+    switch (obstacle.kind) {
+      case "slider":
+        obstacle.x =
+          obstacle.centerX +
+          Math.sin(obstacle.phase + state.time * obstacle.frequency) *
+            obstacle.amplitude;
+        break;
+      case "gate": {
+        const cycle =
+          ((state.time + obstacle.phaseOffset) % GATE_PERIOD) / GATE_PERIOD;
+        obstacle.isOpen = cycle < GATE_OPEN_FRACTION;
+        break;
+      }
+      case "debris":
+        obstacle.y = Math.max(0, obstacle.y - obstacle.fallSpeed * dt);
+        break;
+    }
+  }
+
+  // Whether the obstacle can currently be hit at all
+  function isObstacleSolid(obstacle) {
+    switch (obstacle.kind) {
+      case "gate":
+        return !obstacle.isOpen;
+      case "debris":
+        return obstacle.y < CAR_HEIGHT;
+      default:
+        return true;
+    }
+  }
+
+  function checkCollisionsAndNearMisses(dt, events) {
+    const { carX, carZ } = state;
+    const cleanupThresholdZ = carZ + OBSTACLE_CLEANUP_BEHIND;
+
+    if (state.nearMissCooldown > 0) state.nearMissCooldown -= dt;
+
+    for (let i = state.obstacles.length - 1; i >= 0; i--) {
+      const obstacle = state.obstacles[i];
+
+      // 1. Cleanup
+      if (obstacle.z > cleanupThresholdZ) {
+        state.obstacles.splice(i, 1);
+        events.push({ type: "obstacleRemoved", obstacle });
+        continue;
+      }
+
+      updateDynamicObstacle(obstacle, dt);
+      const solid = isObstacleSolid(obstacle);
+
+      // 2. Collision Check (phasing through while boosting is allowed)
+      const actualCollision =
+        solid &&
+        overlapsCarPath(
+          obstacle.x,
+          obstacle.z,
+          obstacle.width,
+          obstacle.depth,
+          COLLISION_MARGIN,
+        );
+
+      if (actualCollision && state.isBoosting) state.boostUseful = true;
+      if (actualCollision && !state.isBoosting && !obstacle.wasHit) {
+        if (state.hasShield) {
+          // The shield takes the hit and the obstacle is destroyed
+          state.hasShield = false;
+          state.obstacles.splice(i, 1);
+          events.push({ type: "shieldHit", obstacle });
+          events.push({ type: "obstacleRemoved", obstacle });
+          continue;
+        }
+        if (isForgiving) {
+          // Stays on the road but is no longer solid, so it only hits once
+          obstacle.wasHit = true;
+          const penalty = Math.min(state.score, PRACTICE_HIT_PENALTY);
+          state.score -= penalty;
+          state.hits++;
+          breakCombo("hit", events);
+          events.push({ type: "hit", obstacle, penalty });
+          continue;
+        }
+        state.gameOver = true;
+        events.push({ type: "crash", obstacle });
+        return;
+      }
+
+      // 3. Near Miss Check (still active while boosting)
+      if (solid && state.nearMissCooldown <= 0) {
+        const nearMissMarginX =
+          CAR_WIDTH / 2 + obstacle.width / 2 + NEAR_MISS_THRESHOLD;
+        const sideProximityZ =
+          Math.abs(carZ - obstacle.z) < CAR_DEPTH / 2 + obstacle.depth / 2;
+        const nearX = Math.abs(carX - obstacle.x) < nearMissMarginX;
+
+        if (nearX && sideProximityZ && !actualCollision) {
+          state.combo++;
+          state.comboTimer = COMBO_WINDOW;
+          state.maxCombo = Math.max(state.maxCombo, state.combo);
+          if (state.isBoosting) state.boostUseful = true;
+          const points = Math.floor(NEAR_MISS_POINTS * getScoreMultiplier());
+          state.score += points;
+          state.nearMissCount++;
+          state.nearMissCooldown = NEAR_MISS_COOLDOWN;
+          events.push({
+            type: "nearMiss",
+            obstacle,
+            points,
+            combo: state.combo,
+          });
+        }
+      }
+    }
+  }
+
+  function startTutorialStep(index, dt, events) {
+    state.tutorialStep = index;
+    tutorialLane = state.lane;
+    spawnTutorialObstacles(dt, events);
+    const step = TUTORIAL_STEPS[index];
+    events.push({ type: "tutorialStep", step });
+    if (step === "done") state.gameOver = true;
+  }
+
+  // Far enough ahead to read the step's prompt before they arrive
+  function spawnTutorialObstacles(dt, events) {
+    const z =
+      state.carZ -
+      Math.max(SPAWN_DISTANCE_AHEAD, (state.speed / dt) * TUTORIAL_LEAD_TIME);
+    // One building right in the car's way to dodge, or a wall with no gap
+    let lanes = [];
+    const step = TUTORIAL_STEPS[state.tutorialStep];
+    if (step === "lanes") lanes = [state.lane];
+    else if (step === "phase") lanes = [-1, 0, 1];
+    tutorialObstacles = lanes.map((lane) => addBuilding(lane, z, events));
+  }
+
+  function updateTutorial(dt, events) {
+    if (state.tutorialStep === null) {
+      startTutorialStep(0, dt, events);
+      return;
+    }
+    const step = TUTORIAL_STEPS[state.tutorialStep];
+    const passed =
+      tutorialObstacles.length > 0 &&
+      tutorialObstacles.every((o) => o.z > state.carZ + o.depth);
+    let done = false;
+    if (step === "lanes") done = state.lane !== tutorialLane;
+    else if (step === "accelerate")
+      done = state.targetSpeed >= TUTORIAL_TARGET_SPEED;
+    else if (step === "phase")
+      done = passed && !tutorialObstacles.some((o) => o.wasHit);
+    if (done) startTutorialStep(state.tutorialStep + 1, dt, events);
+    else if (passed) spawnTutorialObstacles(dt, events); // Missed, go again
+  }
+
+  // Passing a gate banks a split and extends the clock, which is checked only
+  // afterwards so a gate reached on the last frame still counts
+  function updateClock(dt, events) {
+    if (state.distanceTraveled >= state.nextCheckpointDistance) {
+      const index = state.splits.length;
+      const bonus = Math.max(
+        CHECKPOINT_MIN_BONUS,
+        CHECKPOINT_BONUS - index * CHECKPOINT_BONUS_DECAY,
+      );
+      state.splits.push(state.time + dt);
+      state.nextCheckpointDistance += CHECKPOINT_INTERVAL;
+      state.timeLeft += bonus;
+      events.push({
+        type: "checkpoint",
+        index,
+        split: state.time + dt,
+        bonus,
+      });
+    }
+    state.timeLeft = Math.max(0, state.timeLeft - dt);
+    if (state.timeLeft === 0) {
+      state.gameOver = true;
+      events.push({ type: "timeUp" });
+    }
+  }
+
+  // Advances the simulation by dt seconds after applying the queued inputs
+  // (action strings, or { action, value } for analog ones like "throttle").
+  // Returns the events that happened during the step.
+  function step(dt, inputs = []) {
+    const events = [];
+    if (state.gameOver) return events;
+    const wasBoosting = state.isBoosting;
+
+    inputs.forEach((input) => {
+      const { action, value } =
+        typeof input === "string" ? { action: input } : input;
+      if (applyInput(action, value))
+        events.push({ type: "input", action, value });
+    });
+
+    // --- Scoring ---
+    state.score += Math.floor(
+      Math.pow(state.speed, 2) * dt * scoreMultiplier * getScoreMultiplier(),
+    );
+    state.scoreMultiplierTime = Math.max(0, state.scoreMultiplierTime - dt);
+    state.magnetTime = Math.max(0, state.magnetTime - dt);
+    if (state.combo > 0) {
+      state.comboTimer -= dt;
+      if (state.comboTimer <= 0) breakCombo("timeout", events);
+    }
+
+    // --- Minimum Speed Increase ---
+    // minSpeed increases gradually based on distance, and the target speed
+    // never falls below it
+    state.minSpeed =
+      baseMinSpeed + state.distanceTraveled * tuning.speedIncreaseRate;
+    if (state.throttle !== 0)
+      state.targetSpeed = Math.min(
+        maxSpeed,
+        state.targetSpeed + state.throttle * throttleRate * dt,
+      );
+    state.targetSpeed = Math.max(state.targetSpeed, state.minSpeed);
+
+    // --- Boost Logic ---
+    const currentMaxSpeed = state.isBoosting
+      ? maxSpeed * boostSpeedMultiplier
+      : maxSpeed;
+    const currentAcceleration = state.isBoosting
+      ? acceleration * boostAccelerationMultiplier
+      : acceleration;
+
+    if (state.isBoosting) {
+      state.boostFuel -= tuning.boostConsumeRate * dt;
+      if (state.boostFuel <= 0) {
+        state.isBoosting = false;
+        state.boostFuel = 0;
+        events.push({ type: "boostDepleted" });
+      }
+    } else {
+      state.boostFuel = Math.min(
+        boostMaxFuel,
+        state.boostFuel + tuning.boostRegenRate * dt,
+      );
+    }
+
+    // --- Speed ---
+    if (state.speed < state.targetSpeed)
+      state.speed = Math.min(
+        state.speed + currentAcceleration,
+        currentMaxSpeed,
+      );
+    else if (state.speed > state.targetSpeed)
+      // Deceleration never goes below the *current* minimum speed
+      state.speed = Math.max(state.speed - deceleration, state.minSpeed);
+    state.speed = Math.min(state.speed, currentMaxSpeed);
+    state.topSpeed = Math.max(state.topSpeed, state.speed);
+
+    // --- Car Movement ---
+    state.prevCarX = state.carX;
+    state.prevCarZ = state.carZ;
+    const targetX = state.lane * laneWidth;
+    state.carX += (targetX - state.prevCarX) * laneChangeLerp;
+    state.carZ -= state.speed;
+    state.distanceTraveled += state.speed;
+    state.isSwitchingLanes =
+      Math.abs(state.carX - targetX) > 0.1 &&
+      Math.abs(state.prevCarX - targetX) > 0.1;
+
+    // --- Sectors ---
+    const sector = Math.floor(state.distanceTraveled / SECTOR_LENGTH);
+    if (sector !== state.sector) {
+      state.sector = sector;
+      events.push({
+        type: "sectorEntered",
+        sector,
+        number: FIRST_SECTOR_NUMBER + sector,
+        biome: getSectorBiome(sector),
+      });
+    }
+
+    // --- Obstacle Spawning ---
+    const currentMaxInterval = Math.max(
+      tuning.maxSpawnGapFloor,
+      tuning.maxSpawnGap - state.distanceTraveled * tuning.maxSpawnGapRamp,
+    );
+    // A custom tuning can ramp the max below the min mid-run
+    const currentMinInterval = Math.min(
+      currentMaxInterval,
+      Math.max(
+        tuning.minSpawnGapFloor,
+        tuning.minSpawnGap - state.distanceTraveled * tuning.minSpawnGapRamp,
+      ),
+    );
+    if (
+      !isTutorial &&
+      state.distanceTraveled > state.nextObstacleSpawnDistance
+    ) {
+      const spawnZ = state.carZ - SPAWN_DISTANCE_AHEAD;
+      spawnObstacle(spawnZ, dt, events);
+      const gap =
+        currentMinInterval + rng() * (currentMaxInterval - currentMinInterval);
+      state.nextObstacleSpawnDistance += gap;
+      if (rng() < PICKUP_CHANCE) spawnPickup(spawnZ - gap / 2, events);
+    }
+
+    updatePickups(events);
+    checkCollisionsAndNearMisses(dt, events); // Check AFTER updating position
+    if (wasBoosting && !state.isBoosting && !state.boostUseful)
+      breakCombo("wastedBoost", events);
+    if (isTimeAttack && !state.gameOver) updateClock(dt, events);
+    if (isTutorial) updateTutorial(dt, events); // Spawns instead of the above
+
+    state.step++;
+    state.time += dt;
+    return events;
+  }
+
+  return { seed, state, step };
+}
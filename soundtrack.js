@@ -0,0 +1,175 @@
+// --- Gridline Soundtrack ---
+// A generative synthwave score built on Tone.js. One sixteenth-note
+// sequencer drives every layer: the sector's pad chord is always there, and
+// arpeggio, bass, kick, hats and snare fade in as the car speeds up. Boosting
+// opens a filter over the whole mix, near-miss combos add a stinger and a
+// crash drops everything into a breakdown until the next run. app.js feeds
+// the game state in with update() once per frame, and isLive() tells the
+// sequencer whether a run is actually playing (not paused, on a menu or over).
+import * as Tone from "tone";
+
+const BPM = 118;
+const STEPS_PER_BAR = 16;
+// Intensity (0-1, from speed) at which each layer fades in
+const LAYER_THRESHOLDS = {
+  arp: 0.15,
+  bass: 0.3,
+  kick: 0.45,
+  hats: 0.6,
+  snare: 0.75,
+};
+const LAYER_FADE = 1.5; // Seconds for a layer to fade in or out
+const FILTER_CRUISE = 1800; // Hz, low-pass on the mix while driving
+const FILTER_BOOST = 9000; // Hz while boosting
+const FILTER_BREAKDOWN = 250; // Hz after a crash
+const STINGER_MIN_COMBO = 3;
+
+export function createSoundtrack({ isLive }) {
+  const output = new Tone.Gain(1);
+  const filter = new Tone.Filter(FILTER_CRUISE, "lowpass").connect(output);
+  const layerGains = {};
+  const createLayer = (id, volume) => {
+    layerGains[id] = new Tone.Gain(0).connect(filter);
+    return new Tone.Gain(Tone.dbToGain(volume)).connect(layerGains[id]);
+  };
+
+  const pad = new Tone.PolySynth(Tone.Synth, {
+    oscillator: { type: "sawtooth" },
+    envelope: { attack: 0.8, decay: 0.5, sustain: 0.6, release: 2 },
+    volume: -28,
+  }).connect(new Tone.Filter(900, "lowpass").connect(filter));
+  const arp = new Tone.Synth({
+    oscillator: { type: "square" },
+    envelope: { attack: 0.005, decay: 0.12, sustain: 0, release: 0.05 },
+  }).connect(createLayer("arp", -26));
+  const bass = new Tone.MonoSynth({
+    oscillator: { type: "sawtooth" },
+    envelope: { attack: 0.01, decay: 0.2, sustain: 0.4, release: 0.1 },
+    filterEnvelope: {
+      attack: 0.01,
+      decay: 0.15,
+      sustain: 0.2,
+      baseFrequency: 120,
+      octaves: 2.5,
+    },
+  }).connect(createLayer("bass", -14));
+  const kick = new Tone.MembraneSynth({
+    pitchDecay: 0.03,
+    octaves: 6,
+    envelope: { attack: 0.001, decay: 0.3, sustain: 0 },
+  }).connect(createLayer("kick", -8));
+  const hats = new Tone.NoiseSynth({
+    noise: { type: "white" },
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0 },
+  }).connect(
+    new Tone.Filter(7000, "highpass").connect(createLayer("hats", -24)),
+  );
+  const snare = new Tone.NoiseSynth({
+    noise: { type: "pink" },
+    envelope: { attack: 0.001, decay: 0.18, sustain: 0 },
+  }).connect(createLayer("snare", -16));
+  const stinger = new Tone.Synth({
+    oscillator: { type: "triangle" },
+    envelope: { attack: 0.005, decay: 0.15, sustain: 0.1, release: 0.3 },
+    volume: -14,
+  }).connect(filter);
+  const breakdownSynth = new Tone.Synth({
+    oscillator: { type: "sawtooth" },
+    envelope: { attack: 0.01, decay: 1.5, sustain: 0, release: 0.5 },
+    volume: -12,
+  }).connect(output); // Bypasses the filter, which is closing
+
+  let chord = ["C3", "G3", "D#4"];
+  let isBoosting = false;
+  let isBreakdown = false;
+  let step = 0;
+  const activeLayers = new Set();
+
+  Tone.Transport.bpm.value = BPM;
+  new Tone.Loop((time) => {
+    if (!isLive()) return;
+    const beat = step % STEPS_PER_BAR;
+    step++;
+    if (beat === 0) pad.triggerAttackRelease(chord, "1m", time);
+    if (activeLayers.has("arp")) {
+      // Up through the chord an octave above the pad
+      const note = Tone.Frequency(chord[beat % chord.length]).transpose(12);
+      arp.triggerAttackRelease(note.toNote(), "16n", time);
+    }
+    if (activeLayers.has("bass") && beat % 2 === 0) {
+      const octave = beat % 8 === 6 ? 0 : -12; // Octave jump every half bar
+      const note = Tone.Frequency(chord[0]).transpose(octave);
+      bass.triggerAttackRelease(note.toNote(), "8n", time);
+    }
+    if (activeLayers.has("kick") && beat % 4 === 0)
+      kick.triggerAttackRelease("C1", "8n", time);
+    if (activeLayers.has("hats") && beat % 4 === 2)
+      hats.triggerAttackRelease("32n", time);
+    if (activeLayers.has("snare") && beat % 8 === 4)
+      snare.triggerAttackRelease("16n", time);
+  }, "16n").start(0);
+
+  function setLayer(id, on) {
+    if (on === activeLayers.has(id)) return;
+    if (on) activeLayers.add(id);
+    else activeLayers.delete(id);
+    layerGains[id].gain.rampTo(on ? 1 : 0, LAYER_FADE);
+  }
+
+  // Called once per rendered frame; speedRatio is speed over top speed (0-1)
+  function update({ speedRatio, boosting, sectorChord }) {
+    chord = sectorChord;
+    if (isBreakdown) return;
+    const intensity = Math.max(0, Math.min(1, speedRatio));
+    Object.keys(LAYER_THRESHOLDS).forEach((id) => {
+      setLayer(id, intensity >= LAYER_THRESHOLDS[id]);
+    });
+    if (boosting !== isBoosting) {
+      isBoosting = boosting;
+      filter.frequency.rampTo(boosting ? FILTER_BOOST : FILTER_CRUISE, 0.4);
+    }
+  }
+
+  // Quick rising run through the chord, higher for longer combos
+  function playStinger(combo) {
+    if (combo < STINGER_MIN_COMBO || isBreakdown) return;
+    const lift = Math.min(combo - STINGER_MIN_COMBO, 4) * 2;
+    const start = Tone.Transport.nextSubdivision("16n");
+    const sixteenth = Tone.Time("16n").toSeconds();
+    chord.forEach((note, i) => {
+      const pitch = Tone.Frequency(note).transpose(12 + lift);
+      stinger.triggerAttackRelease(
+        pitch.toNote(),
+        "32n",
+        start + i * sixteenth,
+      );
+    });
+  }
+
+  // Drops the drums and bass, closes the filter and sweeps a note down
+  function breakdown() {
+    if (isBreakdown) return;
+    isBreakdown = true;
+    isBoosting = false;
+    Object.keys(layerGains).forEach((id) => {
+      activeLayers.delete(id);
+      layerGains[id].gain.rampTo(0, 0.1);
+    });
+    filter.frequency.rampTo(FILTER_BREAKDOWN, 2);
+    const now = Tone.now();
+    breakdownSynth.triggerAttackRelease(chord[0], 1.5, now);
+    breakdownSynth.frequency.exponentialRampToValueAtTime(30, now + 1.5);
+    pad.releaseAll();
+  }
+
+  // Back to a quiet pad for the next run
+  function reset() {
+    isBreakdown = false;
+    isBoosting = false;
+    step = 0;
+    filter.frequency.rampTo(FILTER_CRUISE, 0.5);
+    Object.keys(layerGains).forEach((id) => setLayer(id, false));
+  }
+
+  return { output, update, playStinger, breakdown, reset };
+}
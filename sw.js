@@ -0,0 +1,114 @@
+// --- Gridline Service Worker ---
+// Precaches everything the game needs so it launches and plays offline.
+// The page and its modules change with every deploy, so they are fetched
+// network first and the cache only stands in when offline or the connection
+// stalls. Vendor libraries and assets rarely change and stay cache first:
+// bump CACHE_VERSION when one of them does. The browser then installs the
+// new worker, app.js shows the "update available" notice and the old cache
+// is dropped once the player restarts into the new version.
+const CACHE_VERSION = "gridline-v1";
+const NETWORK_TIMEOUT = 3000; // ms before a stalled shell fetch uses the cache
+const SHELL_URLS = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "app.js",
+  "sim.js",
+  "track.js",
+  "rain.js",
+  "soundtrack.js",
+];
+const PRECACHE_URLS = [
+  ...SHELL_URLS,
+  "vendor/three/build/three.module.js",
+  "vendor/three/examples/jsm/postprocessing/EffectComposer.js",
+  "vendor/three/examples/jsm/postprocessing/MaskPass.js",
+  "vendor/three/examples/jsm/postprocessing/Pass.js",
+  "vendor/three/examples/jsm/postprocessing/RenderPass.js",
+  "vendor/three/examples/jsm/postprocessing/ShaderPass.js",
+  "vendor/three/examples/jsm/postprocessing/UnrealBloomPass.js",
+  "vendor/three/examples/jsm/shaders/CopyShader.js",
+  "vendor/three/examples/jsm/shaders/FXAAShader.js",
+  "vendor/three/examples/jsm/shaders/LuminosityHighPassShader.js",
+  "vendor/tone/tone.js",
+  "assets/fonts/orbitron-latin-400-normal.woff2",
+  "assets/fonts/orbitron-latin-700-normal.woff2",
+  "assets/sounds/near-miss.wav",
+  "assets/textures/dark-mosaic.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION).then((cache) => cache.addAll(PRECACHE_URLS)),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_VERSION)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Sent by app.js when the player accepts the update
+self.addEventListener("message", (event) => {
+  if (event.data === "skipWaiting") self.skipWaiting();
+});
+
+const shellPaths = new Set(
+  SHELL_URLS.map((url) => new URL(url, self.location).pathname),
+);
+
+// Fresh from the network, refreshing the cached copy; falls back to that
+// copy if the network fails or takes longer than NETWORK_TIMEOUT
+function networkFirst(event, cacheKey) {
+  const network = fetch(event.request.url, { cache: "no-cache" }).then(
+    (response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        event.waitUntil(
+          caches.open(CACHE_VERSION).then((cache) => cache.put(cacheKey, copy)),
+        );
+      }
+      return response;
+    },
+  );
+  const cached = () =>
+    caches
+      .match(cacheKey, { cacheName: CACHE_VERSION })
+      .then((response) => response || network);
+  const stalled = new Promise((resolve) =>
+    setTimeout(resolve, NETWORK_TIMEOUT),
+  ).then(cached);
+  return Promise.race([network.catch(cached), stalled]);
+}
+
+// Anything not precached (e.g. analytics) goes to the network as usual
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  // Navigations carry ?seed= and friends, which all load the same page
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(event, "index.html"));
+  } else if (shellPaths.has(url.pathname)) {
+    event.respondWith(networkFirst(event, request));
+  } else {
+    event.respondWith(
+      caches
+        .match(request, { cacheName: CACHE_VERSION })
+        .then((cached) => cached || fetch(request)),
+    );
+  }
+});
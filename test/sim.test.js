@@ -0,0 +1,153 @@
+// --- Simulation Tests ---
+// The sim has no THREE, DOM or audio dependencies, so its rules are tested
+// headless here. Run with `npm test`.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createSimulation,
+  getComboMultiplier,
+  resolveTuning,
+  DIFFICULTY_PRESETS,
+  laneWidth,
+  CAR_START_Z,
+} from "../sim.js";
+
+const DT = 1 / 60;
+
+// Steps the sim n times (or until game over) and returns every event
+function run(sim, steps, inputsAt = () => []) {
+  const events = [];
+  for (let i = 0; i < steps && !sim.state.gameOver; i++)
+    events.push(...sim.step(DT, inputsAt(i)));
+  return events;
+}
+
+// A building standing in a lane just ahead of the car
+function placeBuilding(sim, lane, ahead, width = 4) {
+  sim.state.obstacles.push({
+    id: 1000 + sim.state.obstacles.length,
+    kind: "building",
+    lane,
+    x: lane * laneWidth,
+    y: 0,
+    z: sim.state.carZ - ahead,
+    width,
+    depth: width,
+    height: 30,
+  });
+}
+
+test("the same seed and inputs replay the same run", () => {
+  const inputsAt = (i) => (i % 40 === 0 ? ["accelerate", "left"] : []);
+  const a = createSimulation({ seed: 1234 });
+  const b = createSimulation({ seed: 1234 });
+  run(a, 1200, inputsAt);
+  run(b, 1200, inputsAt);
+  assert.deepEqual(a.state, b.state);
+
+  const c = createSimulation({ seed: 4321 });
+  run(c, 1200, inputsAt);
+  assert.notDeepEqual(
+    c.state.obstacles.map(({ x, z }) => [x, z]),
+    a.state.obstacles.map(({ x, z }) => [x, z]),
+  );
+});
+
+test("driving into a building ends the run", () => {
+  const sim = createSimulation({ seed: 1 });
+  placeBuilding(sim, 0, 3);
+  const events = run(sim, 120);
+  assert.ok(events.some((e) => e.type === "crash"));
+  assert.equal(sim.state.gameOver, true);
+});
+
+test("boosting phases through a building", () => {
+  const sim = createSimulation({ seed: 1 });
+  placeBuilding(sim, 0, 3);
+  const events = run(sim, 20, (i) => (i === 0 ? ["boostStart"] : []));
+  assert.ok(!events.some((e) => e.type === "crash"));
+  assert.equal(sim.state.gameOver, false);
+});
+
+test("only a boost released with nothing phased breaks the combo", () => {
+  const wasted = createSimulation({ seed: 1 });
+  wasted.state.obstacles = [];
+  wasted.state.combo = 2;
+  wasted.state.comboTimer = 1;
+  const events = run(wasted, 3, (i) =>
+    i === 0 ? ["boostStart"] : i === 1 ? ["boostEnd"] : [],
+  );
+  assert.ok(events.some((e) => e.reason === "wastedBoost"));
+
+  // Pausing ends the boost too, but that's not the player wasting it
+  const paused = createSimulation({ seed: 1 });
+  paused.state.obstacles = [];
+  paused.state.combo = 2;
+  paused.state.comboTimer = 1;
+  run(paused, 3, (i) =>
+    i === 0
+      ? ["boostStart"]
+      : i === 1
+        ? [{ action: "boostEnd", value: "pause" }]
+        : [],
+  );
+  assert.equal(paused.state.isBoosting, false);
+  assert.equal(paused.state.combo, 2);
+});
+
+test("passing a building in the next lane scores a near miss", () => {
+  const sim = createSimulation({ seed: 1 });
+  placeBuilding(sim, 1, 3);
+  const events = run(sim, 60);
+  const nearMiss = events.find((e) => e.type === "nearMiss");
+  assert.ok(nearMiss);
+  // 50 points, raised by the first link of the combo chain
+  assert.equal(nearMiss.points, Math.floor(50 * getComboMultiplier(1)));
+  assert.ok(sim.state.score >= nearMiss.points);
+  assert.equal(sim.state.nearMissCount, 1);
+  assert.ok(!events.some((e) => e.type === "crash"));
+});
+
+test("the minimum speed ramps up with distance", () => {
+  const sim = createSimulation({ seed: 1 });
+  run(sim, 1);
+  assert.equal(sim.state.minSpeed, 1);
+
+  sim.state.distanceTraveled = 20000;
+  sim.state.obstacles = []; // Nothing to hit while checking the ramp
+  run(sim, 1);
+  assert.ok(Math.abs(sim.state.minSpeed - 3) < 0.01);
+  assert.ok(sim.state.targetSpeed >= sim.state.minSpeed);
+  assert.ok(sim.state.carZ < CAR_START_Z);
+});
+
+test("custom tunings fill in from Normal and reject bad values", () => {
+  Object.values(DIFFICULTY_PRESETS).forEach((preset) =>
+    assert.deepEqual(resolveTuning(preset), preset),
+  );
+  const tuning = resolveTuning({ boostRegenRate: 20 });
+  assert.equal(tuning.boostRegenRate, 20);
+  assert.equal(tuning.minSpawnGap, DIFFICULTY_PRESETS.normal.minSpawnGap);
+
+  [
+    [],
+    { toString: 1 },
+    { boostRegenRate: "20" },
+    { boostRegenRate: -1 },
+    { singleBuildingChance: 1.5 },
+    { minSpawnGap: 200, maxSpawnGap: 100 },
+    { minSpawnGapFloor: 95 },
+    { boostConsumeRate: 0 },
+  ].forEach((overrides) => assert.throws(() => resolveTuning(overrides)));
+});
+
+test("spawn gaps stay in order when a tuning's ramps cross", () => {
+  // The max gap ramps down to 60 while the min holds at 90
+  const tuning = resolveTuning({ maxSpawnGapRamp: 1, maxSpawnGapFloor: 60 });
+  const sim = createSimulation({ seed: 1, tuning });
+  sim.state.distanceTraveled = 1000;
+  sim.state.nextObstacleSpawnDistance = 0;
+  sim.state.obstacles = [];
+  run(sim, 1);
+  assert.equal(sim.state.nextObstacleSpawnDistance, 60);
+});
@@ -0,0 +1,194 @@
+// --- Gridline Track ---
+// The simulation drives on a straight track: x across the road, y up and z
+// along it (decreasing as the car moves forward). This module bends that
+// straight track into a seeded course of curves, hills and banked corners for
+// the renderer only, so gameplay, replays and ghosts are unaffected by it.
+// Frames are integrated from the curvature and grade at every sample, which
+// keeps the course parameterized by arc length.
+import * as THREE from "three";
+import { createRng, CAR_START_Z } from "./sim.js";
+
+const SAMPLE_SPACING = 5; // Track units between stored frames
+const STRAIGHT_START = 500; // Flat, straight run-up before the first section
+const SECTION_MIN_LENGTH = 800;
+const SECTION_LENGTH_RANGE = 1200;
+const STRAIGHT_CHANCE = 0.3;
+const MAX_CURVATURE = 1 / 600; // Heading change (radians) per unit
+const MAX_GRADE = 0.06;
+const ELEVATION_PULL = 1 / 3000; // Steers hills back toward ground level
+const BLEND_LENGTH = 300; // Distance over which sections ease into the next
+const BANK_PER_CURVATURE = 200; // Roll (radians) per unit of curvature
+const MAX_BANK = 0.3;
+const KEEP_BEHIND = 800; // Frames kept behind the car
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+export function createTrack(seed) {
+  const rng = createRng((seed ^ 0x7261636b) >>> 0);
+  // Sample i sits at arc length firstS + i * SAMPLE_SPACING
+  const samples = [
+    { x: 0, y: 0, z: CAR_START_Z, yaw: 0, pitch: 0, roll: 0, curvature: 0 },
+  ];
+  let firstS = 0;
+  let section = { start: 0, length: STRAIGHT_START, curvature: 0, pitch: 0 };
+  let previousSection = section;
+
+  function startNextSection(y) {
+    previousSection = section;
+    const isStraight = rng() < STRAIGHT_CHANCE;
+    const bend = (0.3 + rng() * 0.7) * MAX_CURVATURE;
+    const grade = Math.max(
+      -MAX_GRADE,
+      Math.min(MAX_GRADE, (rng() * 2 - 1) * MAX_GRADE - y * ELEVATION_PULL),
+    );
+    section = {
+      start: section.start + section.length,
+      length: SECTION_MIN_LENGTH + rng() * SECTION_LENGTH_RANGE,
+      curvature: isStraight ? 0 : rng() < 0.5 ? -bend : bend,
+      pitch: Math.atan(grade),
+    };
+  }
+
+  function extendTo(s) {
+    while (firstS + (samples.length - 1) * SAMPLE_SPACING < s) {
+      const last = samples[samples.length - 1];
+      const sampleS = firstS + samples.length * SAMPLE_SPACING;
+      if (sampleS >= section.start + section.length) startNextSection(last.y);
+      const blend = smoothstep(
+        Math.min(1, (sampleS - section.start) / BLEND_LENGTH),
+      );
+      const curvature =
+        previousSection.curvature +
+        (section.curvature - previousSection.curvature) * blend;
+      const pitch =
+        previousSection.pitch + (section.pitch - previousSection.pitch) * blend;
+      const yaw = last.yaw + curvature * SAMPLE_SPACING;
+      // Forward is -Z at zero yaw; positive yaw bends left
+      const step = SAMPLE_SPACING * Math.cos(pitch);
+      samples.push({
+        x: last.x - Math.sin(yaw) * step,
+        y: last.y + Math.sin(pitch) * SAMPLE_SPACING,
+        z: last.z - Math.cos(yaw) * step,
+        yaw,
+        pitch,
+        roll: Math.max(
+          -MAX_BANK,
+          Math.min(MAX_BANK, curvature * BANK_PER_CURVATURE),
+        ),
+        curvature,
+      });
+    }
+  }
+
+  // Drops frames far behind s so long runs don't grow without bound
+  function prune(s) {
+    const removable = Math.floor((s - KEEP_BEHIND - firstS) / SAMPLE_SPACING);
+    if (removable <= 0 || removable >= samples.length - 1) return;
+    samples.splice(0, removable);
+    firstS += removable * SAMPLE_SPACING;
+  }
+
+  const euler = new THREE.Euler(0, 0, 0, "YXZ");
+  const frame = {
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    right: new THREE.Vector3(),
+    up: new THREE.Vector3(),
+    yaw: 0,
+  };
+
+  // Centerline position and orientation at track z. The returned object is
+  // reused between calls.
+  function getFrame(z) {
+    const s = CAR_START_Z - z;
+    extendTo(s + SAMPLE_SPACING);
+    const position = (s - firstS) / SAMPLE_SPACING;
+    const index = Math.max(
+      0,
+      Math.min(samples.length - 2, Math.floor(position)),
+    );
+    const a = samples[index];
+    const b = samples[index + 1];
+    const t = position - index; // Extrapolates linearly past either end
+    frame.position.set(
+      a.x + (b.x - a.x) * t,
+      a.y + (b.y - a.y) * t,
+      a.z + (b.z - a.z) * t,
+    );
+    const tc = Math.max(0, Math.min(1, t));
+    frame.yaw = a.yaw + (b.yaw - a.yaw) * tc;
+    euler.set(
+      a.pitch + (b.pitch - a.pitch) * tc,
+      frame.yaw,
+      a.roll + (b.roll - a.roll) * tc,
+    );
+    frame.quaternion.setFromEuler(euler);
+    frame.right.set(1, 0, 0).applyQuaternion(frame.quaternion);
+    frame.up.set(0, 1, 0).applyQuaternion(frame.quaternion);
+    return frame;
+  }
+
+  // World position of a point given in track coordinates
+  function toWorld(x, y, z, target = new THREE.Vector3()) {
+    const { position, right, up } = getFrame(z);
+    return target
+      .copy(position)
+      .addScaledVector(right, x)
+      .addScaledVector(up, y);
+  }
+
+  const localYaw = new THREE.Quaternion();
+  const stripPoint = new THREE.Vector3();
+  const yAxis = new THREE.Vector3(0, 1, 0);
+
+  // Positions and orients an object at track coordinates, optionally turned
+  // by yaw around the road's up axis
+  function place(object, x, y, z, yaw = 0) {
+    toWorld(x, y, z, object.position);
+    object.quaternion.copy(frame.quaternion);
+    if (yaw) object.quaternion.multiply(localYaw.setFromAxisAngle(yAxis, yaw));
+  }
+
+  // Road surface between two x offsets as a strip of quads, in world space
+  function createStripGeometry(zCenter, length, xLeft, xRight, y, rows) {
+    const indices = [];
+    for (let row = 0; row < rows; row++) {
+      const i = row * 2;
+      indices.push(i, i + 1, i + 2, i + 1, i + 3, i + 2);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute((rows + 1) * 2 * 3, 3),
+    );
+    geometry.setIndex(indices);
+    updateStripGeometry(geometry, zCenter, length, xLeft, xRight, y);
+    return geometry;
+  }
+
+  // Moves an existing strip to a new stretch of track, so road segments can
+  // be recycled without reallocating
+  function updateStripGeometry(geometry, zCenter, length, xLeft, xRight, y) {
+    const positions = geometry.attributes.position;
+    const rows = positions.count / 2 - 1;
+    for (let row = 0; row <= rows; row++) {
+      const z = zCenter + length / 2 - (row / rows) * length;
+      toWorld(xLeft, y, z, stripPoint);
+      positions.setXYZ(row * 2, stripPoint.x, stripPoint.y, stripPoint.z);
+      toWorld(xRight, y, z, stripPoint);
+      positions.setXYZ(row * 2 + 1, stripPoint.x, stripPoint.y, stripPoint.z);
+    }
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+  }
+
+  return {
+    getFrame,
+    toWorld,
+    place,
+    prune,
+    createStripGeometry,
+    updateStripGeometry,
+  };
+}